@@ -21,7 +21,8 @@ class AudioManager {
             growth: { frequency: 600, duration: 0.3, type: 'triangle' },
             success: { frequency: 1000, duration: 0.4, type: 'square' },
             beat: { frequency: 440, duration: 0.1, type: 'sine' },
-            perfect: { frequency: 1200, duration: 0.2, type: 'triangle' }
+            perfect: { frequency: 1200, duration: 0.2, type: 'triangle' },
+            rest: { frequency: 330, duration: 0.8, type: 'sine' }
         };
     }
     
@@ -139,6 +140,24 @@ class AudioManager {
         this.playSound('perfect', 1, 0.8);
     }
     
+    playRestChime() {
+        // Two soft, low tones - calm enough not to startle
+        [1, 1.5].forEach((pitch, index) => {
+            setTimeout(() => {
+                this.playSound('rest', pitch, 0.5);
+            }, index * 400);
+        });
+    }
+    
+    playWakeChime() {
+        // Rising version of the rest chime - time to open your eyes
+        [1.5, 2, 2.5].forEach((pitch, index) => {
+            setTimeout(() => {
+                this.playSound('rest', pitch, 0.4);
+            }, index * 350);
+        });
+    }
+    
     playMissedBeatSound() {
         // Lower, softer sound for missed beats
         this.playSound('blink', 0.5, 0.3);
@@ -4,17 +4,16 @@
  */
 
 class BlinkDetector {
-    constructor() {
+    constructor(facePipeline = null, options = {}) {
         this.isInitialized = false;
         this.isDetecting = false;
         this.video = null;
         this.canvas = null;
         this.ctx = null;
         
-        // MediaPipe Face Landmarker
+        // MediaPipe Face Landmarker, shared with the other face analyzers
+        this.facePipeline = facePipeline || new FacePipeline();
         this.faceLandmarker = null;
-        this.runningMode = "VIDEO";
-        this.lastVideoTime = -1;
         this.drawingUtils = null;
         
         // Debug mode
@@ -32,10 +31,56 @@ class BlinkDetector {
         this.isBlinking = false;
         this.lastBlinkTime = 0;
         this.blinkCooldown = 200; // Minimum ms between blinks
+        this.currentClosure = null;
+        this.lastBlinkType = null;
+        this.lastBlink = null;
+        
+        // Blink type classification (timings from docs/GAMEPLAY.md)
+        this.blinkTypes = {
+            slowBlinkDuration: 350,  // Closures longer than this are slow blinks
+            doubleBlinkWindow: 400,  // Second blink within this many ms of the last is a double
+            winkAsymmetry: 0.35,     // Difference between eyes that makes a closure a wink
+            completeClosure: 0.5     // Peaks below this are incomplete (partial) blinks
+        };
+        
+        // Hysteresis: once closing, the eye only counts as open again below this.
+        // Matches eyeBlinkThreshold until a per-user calibration widens the gap.
+        this.eyeOpenThreshold = 0.3;
+        
+        // Per-user threshold calibration (see startBlinkCalibration)
+        this.calibrationStorageKey = 'blinkBloom.blinkCalibration';
+        this.calibration = {
+            isCalibrating: false,
+            isCalibrated: false,
+            phase: null,            // 'baseline' | 'blinks'
+            baselineDuration: 3000, // ms of relaxed, open eyes
+            blinkTimeout: 15000,    // ms allowed for the deliberate blinks
+            requiredBlinks: 5,
+            minBlinks: 3,
+            baselineSamples: [],
+            blinkSamples: [],       // { peak, frames } per deliberate blink
+            currentClosure: null,
+            profile: null
+        };
+        
+        // Continuous closure tracking for eyes-closed rest (see startClosureTracking).
+        // Replaces blink detection while active, so a 20s closure isn't one long blink
+        this.closureTracking = {
+            active: false,
+            isClosed: false,
+            closedSince: null,
+            totalClosed: 0,      // ms with both eyes shut, excluding the current stretch
+            longestClosure: 0,
+            openings: 0,         // Times the eyes opened after first closing
+            startTime: null
+        };
         
         // Callbacks
-        this.onBlinkDetected = null;
+        this.onBlinkDetected = null;   // (blink) - record built by buildBlinkRecord()
+        this.onBlinkClassified = null; // (type, blink) - 'normal', 'slow', 'double', 'wink-left', 'wink-right', 'incomplete'
         this.onFaceDetected = null;
+        this.onCalibrationComplete = null;
+        this.onClosureChange = null;   // (isClosed, stats) - while closure tracking is active
         this.onError = null;
         
         // Debug tracking
@@ -46,6 +91,11 @@ class BlinkDetector {
         // Performance optimization
         this.detectionActive = false;
         this.lastDebugUpdate = 0;
+        
+        // Restore a previously measured calibration for this browser (tools measuring the defaults opt out)
+        if (options.loadCalibration !== false) {
+            this.loadCalibration();
+        }
     }
 
     updateDebugInfo(message) {
@@ -75,66 +125,10 @@ class BlinkDetector {
             console.log('🔄 Initializing MediaPipe Face Landmarker...');
             this.updateDebugInfo('Loading MediaPipe models...');
             
-            // Create timeout promise
-            const timeoutPromise = new Promise((_, reject) => {
-                setTimeout(() => reject(new Error('MediaPipe initialization timeout (30s)')), 30000);
-            });
-            
-            // Create initialization promise
-            const initPromise = (async () => {
-                // Import MediaPipe vision tasks
-                console.log('📦 Importing MediaPipe vision tasks...');
-                const vision = await import('https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3');
-                const { FaceLandmarker, FilesetResolver, DrawingUtils } = vision;
-                console.log('✅ MediaPipe vision tasks imported');
-                
-                // Create the FilesetResolver
-                console.log('🔧 Creating FilesetResolver...');
-                this.updateDebugInfo('Loading WASM files...');
-                const filesetResolver = await FilesetResolver.forVisionTasks(
-                    'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3/wasm'
-                );
-                console.log('✅ FilesetResolver created');
-                
-                // Create FaceLandmarker with blend shapes for blink detection
-                console.log('🤖 Creating FaceLandmarker...');
-                this.updateDebugInfo('Loading face landmarker model...');
-                
-                // Try GPU first, then CPU fallback
-                try {
-                    this.faceLandmarker = await FaceLandmarker.createFromOptions(filesetResolver, {
-                        baseOptions: {
-                            modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task',
-                            delegate: 'GPU'
-                        },
-                        outputFaceBlendshapes: true,
-                        runningMode: this.runningMode,
-                        numFaces: 1
-                    });
-                    console.log('✅ FaceLandmarker created successfully with GPU');
-                } catch (gpuError) {
-                    console.warn('⚠️ GPU delegate failed, trying CPU fallback:', gpuError);
-                    // Fallback to CPU if GPU fails
-                    this.faceLandmarker = await FaceLandmarker.createFromOptions(filesetResolver, {
-                        baseOptions: {
-                            modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task',
-                            delegate: 'CPU'
-                        },
-                        outputFaceBlendshapes: true,
-                        runningMode: this.runningMode,
-                        numFaces: 1
-                    });
-                    console.log('✅ FaceLandmarker created with CPU fallback');
-                }
-                
-                // Store DrawingUtils for debugging
-                this.DrawingUtils = DrawingUtils;
-                
-                return true;
-            })();
-            
-            // Race between initialization and timeout
-            await Promise.race([initPromise, timeoutPromise]);
+            // The pipeline loads MediaPipe once for every detector that shares it
+            await this.facePipeline.initialize();
+            this.faceLandmarker = this.facePipeline.faceLandmarker;
+            this.DrawingUtils = this.facePipeline.DrawingUtils;
             
             console.log('MediaPipe Face Landmarker loaded successfully');
             this.isInitialized = true;
@@ -146,7 +140,9 @@ class BlinkDetector {
             
             // Show detailed error information
             let errorMessage = 'MediaPipe initialization failed: ';
-            if (error.message.includes('Loading failed')) {
+            if (error.message.includes('asset source')) {
+                errorMessage += 'Model files unreachable - check the internet connection or serve them locally (see vendor/mediapipe/README.md).';
+            } else if (error.message.includes('Loading failed')) {
                 errorMessage += 'Network error - check internet connection or try refreshing the page.';
             } else if (error.message.includes('not supported')) {
                 errorMessage += 'Your browser may not support WebGL or WebAssembly.';
@@ -360,10 +356,15 @@ class BlinkDetector {
         if (this.fallbackMode) {
             this.startFallbackDetection();
         } else {
-            this.detectBlinks();
+            this.facePipeline.attach('blink', this, this.video);
         }
     }
     
+    replayTrace(trace, options = {}) {
+        // Feed a recorded LandmarkTrace through the shared pipeline instead of the camera
+        this.facePipeline.loadReplay(trace, options);
+    }
+    
     startFallbackDetection() {
         // In fallback mode, simulate occasional random blinks for demo
         // But mainly rely on user clicks
@@ -468,21 +469,29 @@ class BlinkDetector {
         });
         
         this.lastBlinkTime = currentTime;
+        this.lastBlinkType = 'normal';
         
-        if (this.onBlinkDetected) {
-            console.log('📞 Calling onBlinkDetected callback...');
-            this.onBlinkDetected();
-            console.log('✅ onBlinkDetected callback completed');
-        } else {
-            console.log('❌ No onBlinkDetected callback set!');
-        }
+        // Simulated blinks carry a record too, flagged so analytics can skip them
+        const blink = {
+            type: 'normal',
+            startTime: currentTime,
+            endTime: currentTime,
+            duration: 0,
+            frames: 0,
+            peakIntensity: 1,
+            meanIntensity: 1,
+            left: { peak: 1, mean: 1 },
+            right: { peak: 1, mean: 1 },
+            confidence: 0,
+            simulated: true
+        };
         
-        // Visual feedback
-        this.showBlinkIndicator();
+        this.emitBlink(blink);
     }
     
     stopDetection() {
         this.detectionActive = false;
+        this.facePipeline.detach('blink');
         if (this.detectionInterval) {
             clearTimeout(this.detectionInterval);
         }
@@ -497,35 +506,17 @@ class BlinkDetector {
         }
     }
     
-    async detectBlinks() {
-        if (!this.detectionActive || !this.video || this.video.paused) {
-            // Schedule next detection even if conditions aren't met
-            if (this.detectionActive) {
-                requestAnimationFrame(() => this.detectBlinks());
-            }
-            return;
-        }
-        
-        // Skip real detection in fallback mode
-        if (this.fallbackMode) {
-            if (this.detectionActive) {
-                requestAnimationFrame(() => this.detectBlinks());
-            }
-            return;
-        }
+    processFrame(results, timestamp, frameTime = Date.now()) {
+        // Called by FacePipeline for every new camera (or replayed trace) frame while attached
+        if (!this.detectionActive) return;
         
         try {
-            const startTimeMs = performance.now();
-            
-            // Detect face landmarks and blend shapes every frame
-            const results = this.faceLandmarker.detectForVideo(this.video, startTimeMs);
-            
             // Debug logging every 30 frames (about once per second)
             if (Math.random() < 0.03) {
                 console.log('🔍 BlinkDetector Detection Results:', {
                     faceLandmarks: results.faceLandmarks?.length || 0,
                     faceBlendshapes: results.faceBlendshapes?.length || 0,
-                    videoTime: startTimeMs,
+                    videoTime: timestamp,
                     videoPlaying: !this.video.paused,
                     videoDimensions: { width: this.video.videoWidth, height: this.video.videoHeight },
                     canvasDimensions: { width: this.canvas.width, height: this.canvas.height }
@@ -562,8 +553,14 @@ class BlinkDetector {
                         console.log(`Detection running - Left: ${(leftEyeBlink*100).toFixed(1)}%, Right: ${(rightEyeBlink*100).toFixed(1)}%, Avg: ${(avgBlinkIntensity*100).toFixed(1)}%, Threshold: ${(this.eyeBlinkThreshold*100).toFixed(1)}%`);
                     }
                     
-                    // Process blink using blend shape intensity
-                    this.processBlinkWithBlendShapes(avgBlinkIntensity);
+                    // Calibration samples replace normal blink processing while the wizard runs
+                    if (this.calibration.isCalibrating) {
+                        this.addCalibrationSample(leftEyeBlink, rightEyeBlink);
+                    } else if (this.closureTracking.active) {
+                        this.trackClosure(avgBlinkIntensity, frameTime);
+                    } else {
+                        this.processBlinkWithBlendShapes(avgBlinkIntensity, leftEyeBlink, rightEyeBlink, frameTime);
+                    }
                     
                     // Store for debug info
                     this.lastFaceDetected = true;
@@ -584,6 +581,11 @@ class BlinkDetector {
                 this.currentEAR = null;
                 this.currentLandmarks = null;
                 
+                // Without a face we can't tell the eyes are still shut
+                if (this.closureTracking.active && this.closureTracking.isClosed) {
+                    this.endClosureStretch(frameTime);
+                }
+                
                 this.updateDetectionDebugInfo({ faceBlendshapes: [], faceLandmarks: [] });
                 this.updateBlinkDebugPanel();
                 if (this.onFaceDetected) {
@@ -591,17 +593,16 @@ class BlinkDetector {
                 }
             }
         } catch (error) {
-            console.error('Detection error:', error);
-            // Update debug with error info
-            this.updateDetectionDebugInfo({ error: error.message });
-        }
-        
-        // Continue detection loop
-        if (this.detectionActive) {
-            requestAnimationFrame(() => this.detectBlinks());
+            this.handleFrameError(error);
         }
     }
     
+    handleFrameError(error) {
+        console.error('Detection error:', error);
+        // Update debug with error info
+        this.updateDetectionDebugInfo({ error: error.message });
+    }
+    
     drawFaceMesh(landmarks) {
         if (!this.drawingUtils || !landmarks) return;
         
@@ -670,49 +671,528 @@ class BlinkDetector {
     }
     
     // Calibration method to adjust sensitivity
-    calibrateBlinkThreshold(newThreshold) {
+    calibrateBlinkThreshold(newThreshold, openThreshold = newThreshold) {
         this.eyeBlinkThreshold = newThreshold;
-        console.log(`Blink threshold calibrated to: ${newThreshold}`);
+        this.eyeOpenThreshold = Math.min(openThreshold, newThreshold);
+        console.log(`Blink threshold calibrated to: ${newThreshold} (reopen below ${this.eyeOpenThreshold})`);
     }
     
-    processBlinkWithBlendShapes(blinkIntensity) {
-        const currentTime = Date.now();
+    // === PER-USER BLINK CALIBRATION WIZARD ===
+    
+    needsCalibration() {
+        return !this.fallbackMode && !this.calibration.isCalibrated;
+    }
+    
+    // Measures the resting eye-open baseline, then a few deliberate blinks, and
+    // derives personal closed/open thresholds. Detection must already be running.
+    // Resolves with the new profile, or null if cancelled or not enough data.
+    startBlinkCalibration() {
+        if (this.calibration.isCalibrating) {
+            return this.calibrationPromise;
+        }
+        
+        console.log('👁️ Starting blink threshold calibration...');
+        this.calibration.isCalibrating = true;
+        this.calibration.phase = 'baseline';
+        this.calibration.baselineSamples = [];
+        this.calibration.blinkSamples = [];
+        this.calibration.currentClosure = null;
+        
+        this.calibrationPromise = new Promise((resolve) => {
+            this.resolveCalibration = resolve;
+        });
+        
+        this.showCalibrationWizard();
+        this.runBaselinePhase();
+        
+        return this.calibrationPromise;
+    }
+    
+    runBaselinePhase() {
+        const startTime = Date.now();
+        const duration = this.calibration.baselineDuration;
+        
+        this.updateCalibrationWizard(`
+            <h3>👁️ Blink Calibration</h3>
+            <p>Step 1 of 2</p>
+            <p><strong>Relax and keep your eyes open</strong></p>
+            <p>Look at the flower and blink only if you need to.</p>
+            <div class="blink-calibration-target">🌼</div>
+            <p id="blink-calibration-progress">${Math.ceil(duration / 1000)}s</p>
+        `);
+        
+        this.calibrationTimer = setInterval(() => {
+            const remaining = duration - (Date.now() - startTime);
+            const progress = document.getElementById('blink-calibration-progress');
+            if (progress) {
+                progress.textContent = `${Math.max(0, Math.ceil(remaining / 1000))}s`;
+            }
+            
+            if (remaining <= 0) {
+                clearInterval(this.calibrationTimer);
+                this.calibrationTimer = null;
+                
+                if (this.calibration.baselineSamples.length < 10) {
+                    this.finishBlinkCalibration(null, '⚠️ No face detected - make sure your face is visible and try again.');
+                    return;
+                }
+                this.runBlinkPhase();
+            }
+        }, 100);
+    }
+    
+    runBlinkPhase() {
+        this.calibration.phase = 'blinks';
+        this.calibration.baselineStats = this.summarizeBaseline(this.calibration.baselineSamples);
+        
+        this.updateCalibrationWizard(`
+            <h3>👁️ Blink Calibration</h3>
+            <p>Step 2 of 2</p>
+            <p><strong>Blink slowly and fully ${this.calibration.requiredBlinks} times</strong></p>
+            <p>Close your eyes completely, then open them again.</p>
+            <p id="blink-calibration-count" class="blink-calibration-count">0 / ${this.calibration.requiredBlinks}</p>
+        `);
+        
+        this.calibrationTimer = setTimeout(() => {
+            this.calibrationTimer = null;
+            this.completeBlinkCalibration();
+        }, this.calibration.blinkTimeout);
+    }
+    
+    addCalibrationSample(leftEyeBlink, rightEyeBlink) {
+        const calibration = this.calibration;
+        const intensity = (leftEyeBlink + rightEyeBlink) / 2;
+        
+        if (calibration.phase === 'baseline') {
+            calibration.baselineSamples.push({ left: leftEyeBlink, right: rightEyeBlink, intensity });
+            return;
+        }
+        
+        if (calibration.phase !== 'blinks') return;
+        
+        // Segment deliberate blinks relative to the user's own resting level
+        const { mean, std } = calibration.baselineStats;
+        const closureLevel = mean + Math.max(0.1, std * 4);
+        
+        if (intensity > closureLevel) {
+            if (!calibration.currentClosure) {
+                calibration.currentClosure = { peak: 0, frames: 0 };
+            }
+            calibration.currentClosure.peak = Math.max(calibration.currentClosure.peak, intensity);
+            calibration.currentClosure.frames++;
+        } else if (calibration.currentClosure) {
+            calibration.blinkSamples.push(calibration.currentClosure);
+            calibration.currentClosure = null;
+            
+            const count = document.getElementById('blink-calibration-count');
+            if (count) {
+                count.textContent = `${calibration.blinkSamples.length} / ${calibration.requiredBlinks}`;
+            }
+            
+            if (calibration.blinkSamples.length >= calibration.requiredBlinks) {
+                if (this.calibrationTimer) {
+                    clearTimeout(this.calibrationTimer);
+                    this.calibrationTimer = null;
+                }
+                this.completeBlinkCalibration();
+            }
+        }
+    }
+    
+    summarizeBaseline(samples) {
+        const mean = samples.reduce((sum, s) => sum + s.intensity, 0) / samples.length;
+        const variance = samples.reduce((sum, s) => sum + Math.pow(s.intensity - mean, 2), 0) / samples.length;
+        
+        return {
+            mean,
+            std: Math.sqrt(variance),
+            left: samples.reduce((sum, s) => sum + s.left, 0) / samples.length,
+            right: samples.reduce((sum, s) => sum + s.right, 0) / samples.length
+        };
+    }
+    
+    completeBlinkCalibration() {
+        const blinks = this.calibration.blinkSamples;
+        
+        if (blinks.length < this.calibration.minBlinks) {
+            this.finishBlinkCalibration(null, `⚠️ Only ${blinks.length} blinks detected - keeping the default thresholds.`);
+            return;
+        }
+        
+        const baseline = this.calibration.baselineStats;
+        const peaks = blinks.map(b => b.peak).sort((a, b) => a - b);
+        const frames = blinks.map(b => b.frames).sort((a, b) => a - b);
+        const medianPeak = peaks[Math.floor(peaks.length / 2)];
+        const range = medianPeak - baseline.mean;
+        
+        // Close at half-way to a full blink, reopen at a quarter-way, and always
+        // stay clear of the noise in the resting signal
+        const noiseFloor = baseline.mean + baseline.std * 3;
+        const closeThreshold = Math.max(0.1, Math.min(0.9, Math.max(baseline.mean + range * 0.5, noiseFloor + 0.05)));
+        const openThreshold = Math.max(0.05, Math.min(closeThreshold - 0.02, Math.max(baseline.mean + range * 0.25, noiseFloor)));
+        
+        const profile = {
+            closeThreshold,
+            openThreshold,
+            frameThreshold: frames[0] <= 2 ? 1 : 2, // Very short closures need a 1-frame minimum
+            baseline: {
+                left: baseline.left,
+                right: baseline.right,
+                mean: baseline.mean,
+                std: baseline.std
+            },
+            medianPeak,
+            blinksMeasured: blinks.length,
+            calibratedAt: Date.now()
+        };
+        
+        this.applyCalibrationProfile(profile);
+        this.saveCalibration();
+        
+        this.finishBlinkCalibration(profile, `✅ Blink calibration complete! Closed above ${(closeThreshold * 100).toFixed(0)}%, open below ${(openThreshold * 100).toFixed(0)}%.`);
+    }
+    
+    applyCalibrationProfile(profile) {
+        this.calibration.profile = profile;
+        this.calibration.isCalibrated = true;
+        this.calibrateBlinkThreshold(profile.closeThreshold, profile.openThreshold);
+        this.blinkFrameThreshold = profile.frameThreshold;
+    }
+    
+    cancelBlinkCalibration() {
+        console.log('❌ Blink calibration cancelled by user');
+        this.finishBlinkCalibration(null, '❌ Blink calibration cancelled - using current thresholds.');
+    }
+    
+    finishBlinkCalibration(profile, message) {
+        if (this.calibrationTimer) {
+            clearInterval(this.calibrationTimer);
+            clearTimeout(this.calibrationTimer);
+            this.calibrationTimer = null;
+        }
+        
+        this.calibration.isCalibrating = false;
+        this.calibration.phase = null;
+        this.calibration.currentClosure = null;
+        
+        // Start blink counting from a clean state
+        this.consecutiveFrames = 0;
+        this.isBlinking = false;
+        
+        this.removeCalibrationWizard();
+        this.showCalibrationMessage(message);
+        console.log('👁️ Blink calibration finished:', profile || 'no profile');
+        
+        if (profile && this.onCalibrationComplete) {
+            this.onCalibrationComplete(profile);
+        }
+        
+        if (this.resolveCalibration) {
+            this.resolveCalibration(profile);
+            this.resolveCalibration = null;
+        }
+    }
+    
+    resetCalibration() {
+        this.calibration.isCalibrated = false;
+        this.calibration.profile = null;
+        this.eyeBlinkThreshold = 0.3;
+        this.eyeOpenThreshold = 0.3;
+        this.blinkFrameThreshold = 2;
+        
+        try {
+            localStorage.removeItem(this.calibrationStorageKey);
+        } catch (error) {
+            console.warn('Could not clear saved blink calibration:', error);
+        }
+    }
+    
+    saveCalibration() {
+        try {
+            localStorage.setItem(this.calibrationStorageKey, JSON.stringify(this.calibration.profile));
+        } catch (error) {
+            console.warn('Could not save blink calibration:', error);
+        }
+    }
+    
+    loadCalibration() {
+        try {
+            const saved = localStorage.getItem(this.calibrationStorageKey);
+            if (!saved) return;
+            
+            const profile = JSON.parse(saved);
+            if (profile && isFinite(profile.closeThreshold) && isFinite(profile.openThreshold)) {
+                this.applyCalibrationProfile(profile);
+                console.log('👁️ Restored saved blink calibration:', profile);
+            }
+        } catch (error) {
+            console.warn('Could not load saved blink calibration:', error);
+        }
+    }
+    
+    showCalibrationWizard() {
+        const overlay = document.createElement('div');
+        overlay.id = 'blink-calibration-overlay';
+        overlay.className = 'blink-calibration-overlay';
+        overlay.innerHTML = '<div id="blink-calibration-instructions" class="blink-calibration-panel"></div>';
+        
+        // ESC cancels, same as the gaze calibration
+        const escListener = (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancelBlinkCalibration();
+            }
+        };
+        document.addEventListener('keydown', escListener);
+        overlay.escListener = escListener;
+        
+        document.body.appendChild(overlay);
+    }
+    
+    updateCalibrationWizard(html) {
+        const instructions = document.getElementById('blink-calibration-instructions');
+        if (instructions) {
+            instructions.innerHTML = html + '<p class="blink-calibration-hint"><small>Press ESC to cancel calibration</small></p>';
+        }
+    }
+    
+    removeCalibrationWizard() {
+        const overlay = document.getElementById('blink-calibration-overlay');
+        if (overlay) {
+            if (overlay.escListener) {
+                document.removeEventListener('keydown', overlay.escListener);
+            }
+            overlay.remove();
+        }
+    }
+    
+    showCalibrationMessage(message) {
+        if (!message) return;
+        
+        const resultDiv = document.createElement('div');
+        resultDiv.className = 'blink-calibration-result';
+        resultDiv.textContent = message;
+        document.body.appendChild(resultDiv);
+        
+        setTimeout(() => resultDiv.remove(), 3000);
+    }
+    
+    processBlinkWithBlendShapes(blinkIntensity, leftEyeBlink = blinkIntensity, rightEyeBlink = blinkIntensity, currentTime = Date.now()) {
+        
+        // A wink closes only one eye, which barely moves the average - follow the closed eye instead
+        const isWinkFrame = Math.abs(leftEyeBlink - rightEyeBlink) > this.blinkTypes.winkAsymmetry &&
+                            Math.max(leftEyeBlink, rightEyeBlink) > this.eyeBlinkThreshold;
+        const closureIntensity = isWinkFrame ? Math.max(leftEyeBlink, rightEyeBlink) : blinkIntensity;
+        
+        // Once a closure has started, hold it until the eye reopens past the
+        // (lower) open threshold so lid flutter near the boundary isn't a blink
+        const closedThreshold = this.consecutiveFrames > 0 ? this.eyeOpenThreshold : this.eyeBlinkThreshold;
         
         // Check if eyes are closed (blend shape intensity above threshold)
-        if (blinkIntensity > this.eyeBlinkThreshold) {
+        if (closureIntensity > closedThreshold) {
+            if (this.consecutiveFrames === 0) {
+                this.currentClosure = {
+                    startTime: currentTime,
+                    peak: 0, peakLeft: 0, peakRight: 0,
+                    sum: 0, sumLeft: 0, sumRight: 0
+                };
+            }
             this.consecutiveFrames++;
+            
+            // Track how far each eye closed for classification and the blink record
+            const closure = this.currentClosure;
+            closure.peak = Math.max(closure.peak, blinkIntensity);
+            closure.peakLeft = Math.max(closure.peakLeft, leftEyeBlink);
+            closure.peakRight = Math.max(closure.peakRight, rightEyeBlink);
+            closure.sum += blinkIntensity;
+            closure.sumLeft += leftEyeBlink;
+            closure.sumRight += rightEyeBlink;
         } else {
             // Eyes are open
             if (this.consecutiveFrames >= this.blinkFrameThreshold && !this.isBlinking) {
                 // Blink detected - check cooldown to avoid double counting
                 if (currentTime - this.lastBlinkTime > this.blinkCooldown) {
                     this.isBlinking = true;
-                    this.lastBlinkTime = currentTime;
-                    
-                    console.log(`Blink detected! Intensity: ${blinkIntensity.toFixed(3)}`);
-                    console.log('🔍 About to call onBlinkDetected callback:', {
-                        hasCallback: !!this.onBlinkDetected,
-                        callbackType: typeof this.onBlinkDetected
-                    });
                     
-                    if (this.onBlinkDetected) {
-                        console.log('📞 Calling onBlinkDetected callback...');
-                        this.onBlinkDetected();
-                        console.log('✅ onBlinkDetected callback completed');
-                    } else {
-                        console.log('❌ No onBlinkDetected callback set!');
-                    }
+                    const blinkType = this.classifyBlink(this.currentClosure, currentTime);
+                    const blink = this.buildBlinkRecord(blinkType, this.currentClosure, this.consecutiveFrames, currentTime);
+                    this.lastBlinkTime = currentTime;
                     
-                    // Visual feedback
-                    this.showBlinkIndicator();
+                    console.log(`Blink detected! Type: ${blinkType}, Duration: ${blink.duration}ms, Peak: ${blink.peakIntensity.toFixed(3)}`);
+                    this.emitBlink(blink);
                 }
             }
             
             this.consecutiveFrames = 0;
             this.isBlinking = false;
+            this.currentClosure = null;
         }
     }
     
+    startClosureTracking(startTime = Date.now()) {
+        this.closureTracking = {
+            active: true,
+            isClosed: false,
+            closedSince: null,
+            totalClosed: 0,
+            longestClosure: 0,
+            openings: 0,
+            startTime
+        };
+        
+        // Drop any half-finished blink so it doesn't fire when tracking ends
+        this.consecutiveFrames = 0;
+        this.currentClosure = null;
+        console.log('🌙 Closure tracking started');
+    }
+    
+    stopClosureTracking(endTime = Date.now()) {
+        const stats = this.getClosureStats(endTime);
+        this.closureTracking.active = false;
+        this.closureTracking.isClosed = false;
+        this.closureTracking.closedSince = null;
+        
+        console.log(`🌙 Closure tracking stopped: ${Math.round(stats.totalClosed)}ms closed of ${Math.round(stats.elapsed)}ms, ${stats.openings} opening(s)`);
+        return stats;
+    }
+    
+    trackClosure(blinkIntensity, currentTime) {
+        const tracking = this.closureTracking;
+        
+        // Same hysteresis as blinks: close above the blink threshold, open below the open threshold
+        if (!tracking.isClosed && blinkIntensity > this.eyeBlinkThreshold) {
+            tracking.isClosed = true;
+            tracking.closedSince = currentTime;
+        } else if (tracking.isClosed && blinkIntensity < this.eyeOpenThreshold) {
+            this.endClosureStretch(currentTime);
+            tracking.openings++;
+        } else {
+            return;
+        }
+        
+        if (this.onClosureChange) {
+            this.onClosureChange(tracking.isClosed, this.getClosureStats(currentTime));
+        }
+    }
+    
+    endClosureStretch(currentTime) {
+        const tracking = this.closureTracking;
+        const stretch = currentTime - tracking.closedSince;
+        
+        tracking.totalClosed += stretch;
+        tracking.longestClosure = Math.max(tracking.longestClosure, stretch);
+        tracking.isClosed = false;
+        tracking.closedSince = null;
+    }
+    
+    getClosureStats(now = Date.now()) {
+        const tracking = this.closureTracking;
+        const current = tracking.isClosed ? now - tracking.closedSince : 0;
+        
+        return {
+            isClosed: tracking.isClosed,
+            currentClosure: current,
+            totalClosed: tracking.totalClosed + current,
+            longestClosure: Math.max(tracking.longestClosure, current),
+            openings: tracking.openings,
+            elapsed: tracking.startTime !== null ? now - tracking.startTime : 0
+        };
+    }
+    
+    // Sort a finished closure into one of the blink types in this.blinkTypes
+    classifyBlink(closure, endTime) {
+        const types = this.blinkTypes;
+        const duration = endTime - closure.startTime;
+        
+        // Wink: one eye closed while the other stayed open
+        const closedEye = Math.max(closure.peakLeft, closure.peakRight);
+        const openEye = Math.min(closure.peakLeft, closure.peakRight);
+        if (closedEye - openEye > types.winkAsymmetry && openEye < this.eyeOpenThreshold) {
+            this.lastBlinkType = closure.peakLeft > closure.peakRight ? 'wink-left' : 'wink-right';
+            return this.lastBlinkType;
+        }
+        
+        // Double: a second blink soon after the previous one (but not a third)
+        const sincePrevious = endTime - this.lastBlinkTime;
+        const previousWasSingle = this.lastBlinkType !== 'double' && !this.lastBlinkType?.startsWith('wink');
+        if (sincePrevious < types.doubleBlinkWindow && previousWasSingle) {
+            this.lastBlinkType = 'double';
+            return this.lastBlinkType;
+        }
+        
+        if (duration > types.slowBlinkDuration) {
+            this.lastBlinkType = 'slow';
+        } else if (closure.peak < this.getCompleteClosureLevel()) {
+            this.lastBlinkType = 'incomplete';
+        } else {
+            this.lastBlinkType = 'normal';
+        }
+        return this.lastBlinkType;
+    }
+    
+    getCompleteClosureLevel() {
+        // Calibrated users close to their own measured peak; everyone else to the default
+        const profile = this.calibration.profile;
+        if (profile && profile.medianPeak) {
+            return Math.max(this.eyeBlinkThreshold, profile.medianPeak * 0.75);
+        }
+        return this.blinkTypes.completeClosure;
+    }
+    
+    buildBlinkRecord(type, closure, frames, endTime) {
+        const peakIntensity = closure.peak;
+        const leftPeak = closure.peakLeft;
+        const rightPeak = closure.peakRight;
+        
+        return {
+            type,
+            startTime: closure.startTime,
+            endTime,
+            duration: endTime - closure.startTime,
+            frames,
+            peakIntensity,
+            meanIntensity: closure.sum / frames,
+            left: { peak: leftPeak, mean: closure.sumLeft / frames },
+            right: { peak: rightPeak, mean: closure.sumRight / frames },
+            confidence: this.calculateBlinkConfidence(type, closure, frames)
+        };
+    }
+    
+    calculateBlinkConfidence(type, closure, frames) {
+        // How far the closure cleared the threshold, how many frames backed it up,
+        // and (for two-eyed blinks) how well the eyes agreed
+        const peak = type.startsWith('wink') ? Math.max(closure.peakLeft, closure.peakRight) : closure.peak;
+        const margin = Math.min(1, Math.max(0, (peak - this.eyeBlinkThreshold) / Math.max(0.01, 1 - this.eyeBlinkThreshold)) * 2);
+        const support = Math.min(1, frames / (this.blinkFrameThreshold + 2));
+        const agreement = type.startsWith('wink') ? 1 : 1 - Math.min(1, Math.abs(closure.peakLeft - closure.peakRight));
+        
+        return Math.round((margin * 0.5 + support * 0.3 + agreement * 0.2) * 100) / 100;
+    }
+    
+    emitBlink(blink) {
+        this.lastBlink = blink;
+        
+        // Winks are deliberate one-eyed gestures, not blinks - they don't water the garden
+        const isWink = blink.type.startsWith('wink');
+        
+        if (this.onBlinkClassified) {
+            this.onBlinkClassified(blink.type, blink);
+        }
+        
+        if (!isWink) {
+            if (this.onBlinkDetected) {
+                console.log('📞 Calling onBlinkDetected callback...');
+                this.onBlinkDetected(blink);
+                console.log('✅ onBlinkDetected callback completed');
+            } else {
+                console.log('❌ No onBlinkDetected callback set!');
+            }
+        }
+        
+        // Visual feedback
+        this.showBlinkIndicator();
+    }
+    
     // Legacy method for compatibility (not used with MediaPipe)
     processBlink(eyeAspectRatio) {
         // This method is kept for fallback compatibility
@@ -721,6 +1201,8 @@ class BlinkDetector {
     
     showBlinkIndicator() {
         const indicator = document.getElementById('blink-indicator');
+        if (!indicator) return; // Pages without the game UI (e.g. blink_lab.html)
+        
         indicator.style.opacity = '1';
         indicator.style.transform = 'scale(1.2)';
         
@@ -738,6 +1220,8 @@ class BlinkDetector {
             isInitialized: this.isInitialized,
             isDetecting: this.detectionActive,
             threshold: this.eyeBlinkThreshold,
+            openThreshold: this.eyeOpenThreshold,
+            isCalibrated: this.calibration.isCalibrated,
             lastBlinkTime: this.lastBlinkTime,
             fallbackMode: this.fallbackMode
         };
@@ -771,9 +1255,10 @@ class BlinkDetector {
         
         blinkDebugContent.innerHTML = `
             <div class="${statusClass}">Status: ${status}</div>
-            <div>Mode: ${this.runningMode}</div>
+            <div>Mode: ${this.facePipeline.runningMode} (${this.facePipeline.mode || 'loading'})</div>
             <div>EAR: ${this.currentEAR ? this.currentEAR.toFixed(3) : 'N/A'}</div>
-            <div>Threshold: ${this.blinkThreshold}</div>
+            <div>Threshold: ${this.eyeBlinkThreshold.toFixed(2)} / open ${this.eyeOpenThreshold.toFixed(2)}${this.calibration.isCalibrated ? ' (calibrated)' : ''}</div>
+            <div>Last Blink: ${this.lastBlink ? `${this.lastBlink.type} ${this.lastBlink.duration}ms (${(this.lastBlink.confidence * 100).toFixed(0)}%)` : 'N/A'}</div>
             <div>Face Detected: ${this.lastFaceDetected ? '✅' : '❌'}</div>
             <div>Video: ${this.video ? `${this.video.videoWidth}x${this.video.videoHeight}` : 'None'}</div>
             ${faceMeshInfo}
@@ -789,6 +1274,9 @@ class BlinkDetector {
     
     // Cleanup
     destroy() {
+        if (this.calibration.isCalibrating) {
+            this.finishBlinkCalibration(null, '');
+        }
         this.stopDetection();
         if (this.video && this.video.srcObject) {
             this.video.srcObject.getTracks().forEach(track => track.stop());
@@ -1,5 +1,6 @@
 /**
  * CameraUtils - Enhanced camera management with device selection and debugging
+ * A local video file can stand in for the webcam (see setVideoFileSource)
  */
 
 class CameraUtils {
@@ -15,6 +16,121 @@ class CameraUtils {
             },
             audio: false
         };
+        
+        // Video file used instead of getUserMedia when set
+        this.videoFileSource = null; // { url, name, loop, playbackRate, isObjectUrl }
+        this.videoFileActive = false;
+        this.currentVideoElement = null;
+    }
+    
+    setVideoFileSource(source, options = {}) {
+        this.clearVideoFileSource();
+        
+        // Accept a File from an <input type="file"> or a URL (e.g. from ?video=)
+        const isFile = typeof source !== 'string';
+        this.videoFileSource = {
+            url: isFile ? URL.createObjectURL(source) : source,
+            name: isFile ? source.name : source.split('/').pop(),
+            loop: options.loop !== undefined ? options.loop : true,
+            playbackRate: options.playbackRate || 1,
+            isObjectUrl: isFile
+        };
+        
+        console.log('🎬 Video file source set:', this.videoFileSource.name);
+    }
+    
+    clearVideoFileSource() {
+        if (!this.videoFileSource) return;
+        
+        if (this.videoFileActive) {
+            this.stopCamera();
+        }
+        if (this.videoFileSource.isObjectUrl) {
+            URL.revokeObjectURL(this.videoFileSource.url);
+        }
+        this.videoFileSource = null;
+    }
+    
+    hasVideoFileSource() {
+        return this.videoFileSource !== null;
+    }
+    
+    isActive() {
+        return !!this.currentStream || this.videoFileActive;
+    }
+    
+    setPlaybackRate(rate) {
+        if (!this.videoFileSource) return;
+        
+        this.videoFileSource.playbackRate = rate;
+        if (this.videoFileActive && this.currentVideoElement) {
+            this.currentVideoElement.playbackRate = rate;
+        }
+    }
+    
+    setLoop(loop) {
+        if (!this.videoFileSource) return;
+        
+        this.videoFileSource.loop = loop;
+        if (this.videoFileActive && this.currentVideoElement) {
+            this.currentVideoElement.loop = loop;
+        }
+    }
+    
+    async startVideoFile(videoElement) {
+        const source = this.videoFileSource;
+        
+        try {
+            console.log('🎬 Starting video file source...', source.name);
+            
+            // Release any webcam first so only one source feeds the element
+            this.stopCamera();
+            
+            videoElement.srcObject = null;
+            if (!source.isObjectUrl) {
+                videoElement.crossOrigin = 'anonymous'; // Detectors read pixels from the frames
+            }
+            videoElement.src = source.url;
+            videoElement.loop = source.loop;
+            videoElement.muted = true;
+            
+            await new Promise((resolve, reject) => {
+                // Timeout fallback, cleared once the file loads or fails so it can't fire later
+                const loadTimeout = setTimeout(() => reject(new Error('Video load timeout')), 10000);
+                
+                videoElement.onloadeddata = () => {
+                    clearTimeout(loadTimeout);
+                    console.log('📺 Video file loaded:', {
+                        width: videoElement.videoWidth,
+                        height: videoElement.videoHeight,
+                        duration: videoElement.duration
+                    });
+                    resolve();
+                };
+                videoElement.onerror = () => {
+                    clearTimeout(loadTimeout);
+                    reject(new Error(`Could not load video file ${source.name}`));
+                };
+            });
+            
+            // playbackRate resets when a new source loads, so apply it after loading
+            videoElement.playbackRate = source.playbackRate;
+            await videoElement.play();
+            
+            this.videoFileActive = true;
+            this.currentVideoElement = videoElement;
+            console.log('▶️ Video file playback started');
+            
+            return true;
+            
+        } catch (error) {
+            console.error('❌ Video file start failed:', error);
+            this.displayErrorMessage(error.message, [
+                'Use an mp4 or webm file your browser can play',
+                'For ?video= URLs, serve the file from the same server as the game'
+            ]);
+            return false;
+        }
     }
 
     // Quick test to see if MediaDevices API is available
@@ -75,6 +191,10 @@ class CameraUtils {
     }
 
     async startCamera(videoElement, deviceId = null) {
+        if (this.videoFileSource) {
+            return this.startVideoFile(videoElement);
+        }
+        
         try {
             console.log('🎥 Attempting to start camera...', { deviceId });
             
@@ -101,10 +221,13 @@ class CameraUtils {
 
             console.log('✅ Camera stream obtained:', stream);
 
-            // Set up video element
+            // Set up video element (clearing any video file that was playing)
+            this.stopVideoFile();
             videoElement.srcObject = stream;
             this.currentStream = stream;
-            this.currentDeviceId = deviceId;
+            // The default camera still has a real deviceId - saved gaze calibrations are keyed by it
+            const track = stream.getVideoTracks()[0];
+            this.currentDeviceId = (track && track.getSettings && track.getSettings().deviceId) || deviceId;
 
             // Wait for video to be ready
             await new Promise((resolve, reject) => {
@@ -134,7 +257,22 @@ class CameraUtils {
         }
     }
 
+    stopVideoFile() {
+        if (!this.videoFileActive) return;
+        
+        console.log('⏹️ Stopping video file source');
+        const videoElement = this.currentVideoElement;
+        videoElement.pause();
+        videoElement.removeAttribute('src');
+        videoElement.load();
+        
+        this.videoFileActive = false;
+        this.currentVideoElement = null;
+    }
+    
     stopCamera() {
+        this.stopVideoFile();
+        
         if (this.currentStream) {
             console.log('⏹️ Stopping camera stream');
             this.currentStream.getTracks().forEach(track => {
@@ -147,6 +285,9 @@ class CameraUtils {
     }
 
     getCurrentDevice() {
+        if (this.videoFileActive) {
+            return { deviceId: 'video-file', label: `Video file: ${this.videoFileSource.name}` };
+        }
         if (this.currentDeviceId && this.availableDevices.length > 0) {
             return this.availableDevices.find(device => device.deviceId === this.currentDeviceId);
         }
@@ -314,6 +455,7 @@ class CameraUtils {
             availableDevices: this.availableDevices,
             currentDevice: this.getCurrentDevice(),
             hasStream: !!this.currentStream,
+            videoFile: this.videoFileSource ? { ...this.videoFileSource, active: this.videoFileActive } : null,
             streamActive: this.currentStream ? this.currentStream.active : false,
             constraints: this.constraints,
             browserSupport: {
@@ -0,0 +1,188 @@
+/**
+ * EyeMovementClassifier - Splits the gaze stream into fixations and saccades
+ * Dispersion-threshold (I-DT) classification on screen positions: gaze that stays inside
+ * a small area for long enough is a fixation, and the jump from one fixation to the
+ * next is a saccade. Feed it the gaze point in screen pixels for every frame.
+ * Keeps per-session statistics for the summary and any gaze exercises built on top.
+ */
+
+class EyeMovementClassifier {
+    constructor(options = {}) {
+        this.settings = {
+            maxDispersion: 80,         // px - (max x - min x) + (max y - min y) to start a fixation; half of it from the centre to stay in one
+            minFixationDuration: 100,  // ms - shorter clusters are noise or glissades
+            maxSaccadeDuration: 400,   // ms - longer gaps between fixations aren't a single saccade
+            maxSampleGap: 500,         // ms without samples (face lost) ends a fixation; blinks held by GazeDetector are shorter
+            minConfidence: 0.3,        // Samples below this are skipped
+            ...options
+        };
+        
+        // Candidate samples { x, y, time, confidence } and the fixation they form
+        this.window = [];
+        this.fixation = null;     // { x, y, startTime, samples } while fixating
+        this.lastFixation = null; // Last ended fixation, start point of the next saccade
+        this.lastSampleTime = null;
+        
+        // Session statistics
+        this.fixations = [];      // { x, y, duration, time }
+        this.saccades = [];       // { amplitude, duration, time }
+        
+        // Callbacks
+        this.onFixationStart = null; // (fixation) - { x, y, startTime, endTime, duration, confidence } so far
+        this.onFixationEnd = null;   // (fixation) - { x, y, startTime, endTime, duration, confidence }
+        this.onSaccade = null;       // (saccade) - { from, to, amplitude, duration, startTime, endTime }
+    }
+    
+    addSample(point, timestamp = Date.now(), confidence = 1) {
+        if (!point || !isFinite(point.x) || !isFinite(point.y)) return;
+        
+        // A long gap means the eyes weren't tracked in between
+        if (this.lastSampleTime !== null && timestamp - this.lastSampleTime > this.settings.maxSampleGap) {
+            this.endFixation();
+            this.window = [];
+        }
+        
+        if (confidence < this.settings.minConfidence) return;
+        this.lastSampleTime = timestamp;
+        
+        const sample = { x: point.x, y: point.y, time: timestamp, confidence };
+        
+        if (this.fixation) {
+            // Measured from the centre so one outlying sample at the start can't cut it short
+            const distance = Math.hypot(sample.x - this.fixation.x, sample.y - this.fixation.y);
+            if (distance <= this.settings.maxDispersion / 2) {
+                this.fixation.samples.push(sample);
+                this.updateCentroid(this.fixation);
+                return;
+            }
+            
+            // Gaze left the fixation area - the new sample starts the next candidate
+            this.endFixation();
+            this.window = [sample];
+            return;
+        }
+        
+        this.window.push(sample);
+        
+        // Slide the window forward until its samples fit inside the dispersion limit
+        while (this.window.length > 1 && this.getDispersion(this.window) > this.settings.maxDispersion) {
+            this.window.shift();
+        }
+        
+        const first = this.window[0];
+        if (timestamp - first.time >= this.settings.minFixationDuration) {
+            this.startFixation();
+        }
+    }
+    
+    startFixation() {
+        const fixation = { startTime: this.window[0].time, samples: this.window };
+        this.updateCentroid(fixation);
+        this.window = [];
+        this.fixation = fixation;
+        
+        // The jump from the previous fixation is the saccade that led here
+        const previous = this.lastFixation;
+        if (previous && fixation.startTime - previous.endTime <= this.settings.maxSaccadeDuration) {
+            const saccade = {
+                from: { x: previous.x, y: previous.y },
+                to: { x: fixation.x, y: fixation.y },
+                amplitude: Math.hypot(fixation.x - previous.x, fixation.y - previous.y),
+                duration: fixation.startTime - previous.endTime,
+                startTime: previous.endTime,
+                endTime: fixation.startTime
+            };
+            this.saccades.push({ amplitude: saccade.amplitude, duration: saccade.duration, time: saccade.endTime });
+            
+            if (this.onSaccade) {
+                this.onSaccade(saccade);
+            }
+        }
+        
+        if (this.onFixationStart) {
+            this.onFixationStart(this.describeFixation(fixation));
+        }
+    }
+    
+    endFixation() {
+        const fixation = this.fixation;
+        if (!fixation) return;
+        
+        this.fixation = null;
+        const ended = this.describeFixation(fixation);
+        this.lastFixation = ended;
+        this.fixations.push({ x: ended.x, y: ended.y, duration: ended.duration, time: ended.startTime });
+        
+        if (this.onFixationEnd) {
+            this.onFixationEnd(ended);
+        }
+    }
+    
+    describeFixation(fixation) {
+        const samples = fixation.samples;
+        const endTime = samples[samples.length - 1].time;
+        return {
+            x: fixation.x,
+            y: fixation.y,
+            startTime: fixation.startTime,
+            endTime,
+            duration: endTime - fixation.startTime,
+            confidence: samples.reduce((sum, sample) => sum + sample.confidence, 0) / samples.length
+        };
+    }
+    
+    updateCentroid(fixation) {
+        const samples = fixation.samples;
+        fixation.x = samples.reduce((sum, sample) => sum + sample.x, 0) / samples.length;
+        fixation.y = samples.reduce((sum, sample) => sum + sample.y, 0) / samples.length;
+    }
+    
+    getDispersion(samples) {
+        const xs = samples.map(sample => sample.x);
+        const ys = samples.map(sample => sample.y);
+        return (Math.max(...xs) - Math.min(...xs)) + (Math.max(...ys) - Math.min(...ys));
+    }
+    
+    // Current fixation so far, or null during saccades and noise
+    getCurrentFixation() {
+        return this.fixation ? this.describeFixation(this.fixation) : null;
+    }
+    
+    stop() {
+        // Close any open fixation so pauses don't stretch it
+        this.endFixation();
+        this.window = [];
+        this.lastSampleTime = null;
+        this.lastFixation = null;
+    }
+    
+    resetSession() {
+        this.fixation = null;
+        this.window = [];
+        this.lastFixation = null;
+        this.lastSampleTime = null;
+        this.fixations = [];
+        this.saccades = [];
+    }
+    
+    getSessionSummary() {
+        const fixationCount = this.fixations.length;
+        const totalFixationTime = this.fixations.reduce((sum, fixation) => sum + fixation.duration, 0);
+        const sessionSpan = fixationCount > 0 ?
+            this.fixations[fixationCount - 1].time + this.fixations[fixationCount - 1].duration - this.fixations[0].time : 0;
+        
+        return {
+            fixationCount,
+            totalFixationTime,
+            averageFixationDuration: fixationCount > 0 ? totalFixationTime / fixationCount : null,
+            longestFixation: fixationCount > 0 ? Math.max(...this.fixations.map(fixation => fixation.duration)) : null,
+            fixationsPerMinute: sessionSpan > 0 ? fixationCount / (sessionSpan / 60000) : null,
+            saccadeCount: this.saccades.length,
+            averageSaccadeAmplitude: this.saccades.length > 0 ?
+                this.saccades.reduce((sum, saccade) => sum + saccade.amplitude, 0) / this.saccades.length : null
+        };
+    }
+}
+
+// Export for use in other modules
+window.EyeMovementClassifier = EyeMovementClassifier;
@@ -0,0 +1,670 @@
+/**
+ * FacePipeline - Shared MediaPipe Face Landmarker for all face analyzers
+ * Runs one landmarker and one frame loop over the camera feed, then fans
+ * each result out to blink, gaze/head-direction and any future analyzers.
+ * Inference runs in js/faceWorker.js when OffscreenCanvas is available,
+ * otherwise on the main thread. Assets come from the first reachable source
+ * in js/mediapipeConfig.js (self-hosted copy, then CDN by default).
+ * A LandmarkTrace loaded with loadReplay() replaces the camera and landmarker entirely.
+ * Up to three faces are detected; analyzers only ever see the locked-on primary user.
+ */
+
+class FacePipeline {
+    constructor() {
+        this.isInitialized = false;
+        this.initPromise = null;
+        this.isRunning = false;
+        this.animationFrameId = null;
+        this.video = null;
+        
+        // MediaPipe Face Landmarker - blend shapes for blinks, matrices for head pose
+        this.faceLandmarker = null;
+        this.DrawingUtils = null;
+        this.runningMode = "VIDEO";
+        this.lastVideoTime = -1;
+        this.lastResults = null;
+        this.initTimeout = 30000;
+        
+        // Asset sources, tried in order - ?mediapipe=<name> forces a single source
+        this.assetSources = FacePipeline.getConfiguredSources();
+        this.assets = null; // Resolved source with absolute URLs
+        
+        // Load-status report for settings and error messages
+        this.loadStatus = {
+            state: 'idle',   // 'idle' | 'loading' | 'ready' | 'failed'
+            source: null,
+            attempts: [],    // { name, ok, detail }
+            error: null,
+            loadTimeMs: 0
+        };
+        this.onLoadStatus = null;
+        this.landmarkerOptions = {
+            outputFaceBlendshapes: true,
+            outputFacialTransformationMatrixes: true,
+            runningMode: this.runningMode,
+            numFaces: 3
+        };
+        
+        // Primary-face lock - bystanders leaning into view are filtered out before dispatch
+        this.faceSelection = {
+            primary: null,         // { x, y, size, lastSeen } of the enrolled user, normalised to the frame
+            status: 'none',        // 'none' | 'locked' | 'searching'
+            bystanders: 0,         // Other faces in the current frame
+            maxMatchDistance: 0.8, // Centre movement (in face widths) plus size change accepted as the same person
+            relockDelay: 2000      // ms the primary may be missing before a lone face is enrolled instead
+        };
+        this.onFaceSelectionChange = null; // (status, bystanders)
+        
+        // Off-main-thread inference
+        this.workerPath = 'js/faceWorker.js';
+        this.useWorker = FacePipeline.supportsWorker();
+        this.worker = null;
+        this.mode = null;           // 'worker' | 'main-thread'
+        this.delegate = null;       // 'GPU' | 'CPU'
+        this.frameInFlight = false; // Only one frame is handed to the worker at a time
+        
+        // Analyzers receiving frames: name -> object with processFrame(results, timestamp, frameTime)
+        // timestamp is the performance.now() clock; frameTime is wall-clock ms (trace time during replay)
+        this.analyzers = new Map();
+        
+        // Trace replay (see LandmarkTrace)
+        this.replay = null;
+        this.onReplayEnd = null;
+        
+        // Performance tracking
+        this.frameCount = 0;
+        this.lastInferenceMs = 0;
+    }
+    
+    static getConfiguredSources() {
+        const configured = window.mediapipeConfig ? window.mediapipeConfig.sources : [{
+            name: 'cdn',
+            visionBundle: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3',
+            wasm: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3/wasm',
+            model: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task'
+        }];
+        
+        const forced = new URLSearchParams(window.location.search).get('mediapipe');
+        if (forced) {
+            const match = configured.filter(source => source.name === forced);
+            if (match.length > 0) return match;
+            console.warn(`⚠️ FacePipeline: unknown MediaPipe source "${forced}", trying all sources`);
+        }
+        
+        return configured;
+    }
+    
+    static supportsWorker() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function';
+    }
+    
+    initialize() {
+        // A replayed trace already holds the landmarker output, so nothing needs loading
+        if (this.replay && !this.isInitialized) {
+            this.isInitialized = true;
+            this.mode = 'replay';
+            return Promise.resolve(true);
+        }
+        
+        // Every detector shares the same load, so only the first caller creates the landmarker
+        if (!this.initPromise) {
+            this.initPromise = this.load().catch(error => {
+                this.initPromise = null;
+                throw error;
+            });
+        }
+        return this.initPromise;
+    }
+    
+    async load() {
+        console.log('🔄 FacePipeline: loading MediaPipe Face Landmarker...');
+        const loadStart = performance.now();
+        this.updateLoadStatus({ state: 'loading', source: null, attempts: [], error: null });
+        
+        const timeoutPromise = new Promise((_, reject) => {
+            setTimeout(() => reject(new Error(`MediaPipe initialization timeout (${this.initTimeout / 1000}s)`)), this.initTimeout);
+        });
+        
+        const loadPromise = (async () => {
+            // DrawingUtils is needed on the page for debug overlays in either mode
+            const vision = await this.resolveAssetSource();
+            this.DrawingUtils = vision.DrawingUtils;
+            
+            if (this.useWorker) {
+                try {
+                    await this.startWorker();
+                    return;
+                } catch (workerError) {
+                    console.warn('⚠️ FacePipeline: worker inference unavailable, using main thread:', workerError);
+                    this.terminateWorker();
+                }
+            }
+            
+            await this.loadLandmarker(vision);
+        })();
+        
+        try {
+            await Promise.race([loadPromise, timeoutPromise]);
+        } catch (error) {
+            this.updateLoadStatus({ state: 'failed', error: error.message });
+            throw error;
+        }
+        
+        this.isInitialized = true;
+        this.updateLoadStatus({ state: 'ready', loadTimeMs: performance.now() - loadStart });
+        return true;
+    }
+    
+    async resolveAssetSource() {
+        // Probe each source fully up front so a half-populated local copy falls through to the next
+        for (const source of this.assetSources) {
+            const assets = {
+                name: source.name,
+                visionBundle: new URL(source.visionBundle, document.baseURI).href,
+                wasm: new URL(source.wasm, document.baseURI).href,
+                model: new URL(source.model, document.baseURI).href
+            };
+            
+            try {
+                const vision = await import(assets.visionBundle);
+                const fileset = await vision.FilesetResolver.forVisionTasks(assets.wasm);
+                await this.probeAsset(fileset.wasmLoaderPath);
+                await this.probeAsset(fileset.wasmBinaryPath);
+                await this.probeAsset(assets.model);
+                
+                this.assets = assets;
+                this.recordLoadAttempt(source.name, true, 'all assets reachable');
+                this.updateLoadStatus({ source: source.name });
+                console.log(`✅ FacePipeline: using ${source.name} MediaPipe assets`);
+                return vision;
+            } catch (error) {
+                console.warn(`⚠️ FacePipeline: ${source.name} MediaPipe assets unavailable:`, error);
+                this.recordLoadAttempt(source.name, false, error.message);
+            }
+        }
+        
+        const tried = this.loadStatus.attempts.map(attempt => `${attempt.name}: ${attempt.detail}`).join('; ');
+        throw new Error(`No MediaPipe asset source reachable (${tried})`);
+    }
+    
+    async probeAsset(url) {
+        const response = await fetch(url, { method: 'HEAD' });
+        if (!response.ok) {
+            throw new Error(`${url.split('/').pop()} returned ${response.status}`);
+        }
+    }
+    
+    recordLoadAttempt(name, ok, detail) {
+        this.updateLoadStatus({ attempts: [...this.loadStatus.attempts, { name, ok, detail }] });
+    }
+    
+    updateLoadStatus(changes) {
+        Object.assign(this.loadStatus, changes);
+        
+        if (this.onLoadStatus) {
+            this.onLoadStatus(this.getLoadStatusReport(), this.loadStatus);
+        }
+    }
+    
+    getLoadStatusReport() {
+        const status = this.loadStatus;
+        const lines = [];
+        
+        switch (status.state) {
+            case 'idle':
+                lines.push('Face model not loaded');
+                break;
+            case 'loading':
+                lines.push('⏳ Loading face model...');
+                break;
+            case 'ready':
+                lines.push(`✅ Face model loaded from ${status.source} (${this.mode}, ${this.delegate}) in ${(status.loadTimeMs / 1000).toFixed(1)}s`);
+                break;
+            case 'failed':
+                lines.push(`❌ Face model failed to load: ${status.error}`);
+                break;
+        }
+        
+        status.attempts.forEach(attempt => {
+            lines.push(`${attempt.ok ? '✓' : '✗'} ${attempt.name}: ${attempt.detail}`);
+        });
+        
+        return lines;
+    }
+    
+    async loadLandmarker(vision) {
+        const { FaceLandmarker, FilesetResolver } = vision;
+        
+        const filesetResolver = await FilesetResolver.forVisionTasks(this.assets.wasm);
+        
+        const createLandmarker = (delegate) => FaceLandmarker.createFromOptions(filesetResolver, {
+            baseOptions: {
+                modelAssetPath: this.assets.model,
+                delegate
+            },
+            ...this.landmarkerOptions
+        });
+        
+        // Try GPU first, then CPU fallback
+        try {
+            this.faceLandmarker = await createLandmarker('GPU');
+            this.delegate = 'GPU';
+            console.log('✅ FacePipeline: FaceLandmarker created with GPU');
+        } catch (gpuError) {
+            console.warn('⚠️ FacePipeline: GPU delegate failed, trying CPU fallback:', gpuError);
+            this.faceLandmarker = await createLandmarker('CPU');
+            this.delegate = 'CPU';
+            console.log('✅ FacePipeline: FaceLandmarker created with CPU fallback');
+        }
+        
+        this.mode = 'main-thread';
+    }
+    
+    startWorker() {
+        return new Promise((resolve, reject) => {
+            this.worker = new Worker(this.workerPath);
+            
+            this.worker.onmessage = (event) => {
+                const message = event.data;
+                
+                if (message.type === 'ready') {
+                    this.mode = 'worker';
+                    this.delegate = message.delegate;
+                    this.worker.onmessage = (workerEvent) => this.handleWorkerMessage(workerEvent.data);
+                    this.worker.onerror = (error) => this.handleWorkerFailure(error);
+                    console.log(`✅ FacePipeline: FaceLandmarker running in worker (${message.delegate})`);
+                    resolve();
+                } else if (message.type === 'error') {
+                    reject(new Error(message.message));
+                }
+            };
+            
+            this.worker.onerror = (error) => {
+                reject(new Error(error.message || 'Face worker failed to load'));
+            };
+            
+            this.worker.postMessage({
+                type: 'init',
+                options: {
+                    visionBundle: this.assets.visionBundle,
+                    wasmPath: this.assets.wasm,
+                    modelPath: this.assets.model,
+                    landmarkerOptions: this.landmarkerOptions
+                }
+            });
+        });
+    }
+    
+    handleWorkerMessage(message) {
+        if (message.type === 'results') {
+            this.frameInFlight = false;
+            this.lastInferenceMs = performance.now() - message.timestamp;
+            this.lastResults = message.results;
+            this.frameCount++;
+            
+            if (this.isRunning) {
+                this.dispatch(message.results, message.timestamp, Date.now());
+            }
+        } else if (message.type === 'error') {
+            this.frameInFlight = false;
+            this.notifyFrameError(new Error(message.message));
+        }
+    }
+    
+    async handleWorkerFailure(error) {
+        // A crashed worker shouldn't end detection - carry on with main-thread inference
+        console.error('❌ FacePipeline: face worker crashed, switching to main thread:', error);
+        this.terminateWorker();
+        this.isInitialized = false;
+        
+        try {
+            const vision = await import(this.assets.visionBundle);
+            await this.loadLandmarker(vision);
+            this.isInitialized = true;
+            this.updateLoadStatus({});
+        } catch (loadError) {
+            console.error('❌ FacePipeline: main-thread fallback failed:', loadError);
+            this.notifyFrameError(loadError);
+        }
+    }
+    
+    terminateWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.frameInFlight = false;
+        if (this.mode === 'worker') {
+            this.mode = null;
+        }
+    }
+    
+    attach(name, analyzer, video) {
+        if (video) {
+            this.setVideo(video);
+        }
+        
+        this.analyzers.set(name, analyzer);
+        console.log(`🔗 FacePipeline: ${name} attached (${this.analyzers.size} active)`);
+        
+        // After a replay stops the live landmarker may never have loaded - load it now
+        if (!this.isInitialized && !this.replay) {
+            this.initialize().catch(error => this.notifyFrameError(error));
+        }
+        
+        if (!this.isRunning) {
+            this.start();
+        }
+    }
+    
+    detach(name) {
+        if (!this.analyzers.delete(name)) return;
+        
+        console.log(`🔌 FacePipeline: ${name} detached (${this.analyzers.size} active)`);
+        
+        if (this.analyzers.size === 0) {
+            this.stop();
+        }
+    }
+    
+    isAttached(name) {
+        return this.analyzers.has(name);
+    }
+    
+    setVideo(video) {
+        if (this.video === video) return;
+        
+        this.video = video;
+        this.lastVideoTime = -1;
+    }
+    
+    start() {
+        if (this.isRunning) return;
+        
+        // Resume a replay where it left off instead of skipping the paused time
+        if (this.replay && this.replay.pausedAt !== null) {
+            this.replay.startTime += performance.now() - this.replay.pausedAt;
+            this.replay.pausedAt = null;
+        }
+        
+        this.isRunning = true;
+        this.processFrame();
+    }
+    
+    stop() {
+        this.isRunning = false;
+        
+        if (this.replay && this.replay.startTime !== null) {
+            this.replay.pausedAt = performance.now();
+        }
+        
+        if (this.animationFrameId) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+    
+    processFrame() {
+        if (!this.isRunning) return;
+        
+        if (this.replay) {
+            this.advanceReplay();
+        } else if (this.isInitialized && this.video && !this.video.paused && this.video.readyState >= 2) {
+            // Only run inference when the camera has delivered a new frame
+            if (this.video.currentTime !== this.lastVideoTime) {
+                this.lastVideoTime = this.video.currentTime;
+                this.runInference();
+            }
+        }
+        
+        this.animationFrameId = requestAnimationFrame(() => this.processFrame());
+    }
+    
+    runInference() {
+        if (this.mode === 'worker') {
+            this.sendFrameToWorker();
+            return;
+        }
+        
+        const timestamp = performance.now();
+        let results;
+        
+        try {
+            results = this.faceLandmarker.detectForVideo(this.video, timestamp);
+            this.lastInferenceMs = performance.now() - timestamp;
+            this.lastResults = results;
+            this.frameCount++;
+        } catch (error) {
+            this.notifyFrameError(error);
+            return;
+        }
+        
+        this.dispatch(results, timestamp, Date.now());
+    }
+    
+    sendFrameToWorker() {
+        // Drop frames while the worker is busy rather than queueing stale ones
+        if (this.frameInFlight) return;
+        
+        this.frameInFlight = true;
+        const timestamp = performance.now();
+        
+        createImageBitmap(this.video).then(frame => {
+            if (!this.worker) {
+                frame.close();
+                return;
+            }
+            this.worker.postMessage({ type: 'detect', frame, timestamp }, [frame]);
+        }).catch(error => {
+            this.frameInFlight = false;
+            this.notifyFrameError(error);
+        });
+    }
+    
+    notifyFrameError(error) {
+        console.error('FacePipeline detection error:', error);
+        this.analyzers.forEach(analyzer => {
+            if (analyzer.handleFrameError) {
+                analyzer.handleFrameError(error);
+            }
+        });
+    }
+    
+    dispatch(results, timestamp, frameTime) {
+        const selected = this.selectPrimaryFace(results, timestamp);
+        
+        // One analyzer failing must not starve the others of frames
+        this.analyzers.forEach((analyzer, name) => {
+            try {
+                analyzer.processFrame(selected, timestamp, frameTime);
+            } catch (error) {
+                console.error(`FacePipeline: ${name} failed to process frame:`, error);
+            }
+        });
+    }
+    
+    selectPrimaryFace(results, timestamp) {
+        const selection = this.faceSelection;
+        const faces = (results.faceLandmarks || []).map((landmarks, index) => {
+            const xs = landmarks.map(point => point.x);
+            const ys = landmarks.map(point => point.y);
+            const minX = Math.min(...xs);
+            const maxX = Math.max(...xs);
+            const minY = Math.min(...ys);
+            const maxY = Math.max(...ys);
+            return { index, x: (minX + maxX) / 2, y: (minY + maxY) / 2, size: maxX - minX };
+        });
+        
+        let chosen = null;
+        
+        if (selection.primary && faces.length > 0) {
+            // Closest face by position and size continuity
+            const primary = selection.primary;
+            const distance = (face) => Math.hypot(face.x - primary.x, face.y - primary.y) / primary.size +
+                Math.abs(Math.log(face.size / primary.size));
+            const nearest = faces.reduce((a, b) => (distance(b) < distance(a) ? b : a));
+            
+            if (distance(nearest) <= selection.maxMatchDistance) {
+                chosen = nearest;
+            } else if (faces.length === 1 && timestamp - primary.lastSeen >= selection.relockDelay) {
+                // The user moved while out of view - nobody else is here to confuse them with
+                chosen = nearest;
+            }
+        } else if (faces.length > 0) {
+            // Enrol the largest (nearest) face as the primary user
+            chosen = faces.reduce((a, b) => (b.size > a.size ? b : a));
+        }
+        
+        if (chosen) {
+            selection.primary = { x: chosen.x, y: chosen.y, size: chosen.size, lastSeen: timestamp };
+        }
+        
+        const status = chosen ? 'locked' : (selection.primary && faces.length > 0 ? 'searching' : 'none');
+        const bystanders = chosen ? faces.length - 1 : faces.length;
+        if (status !== selection.status || bystanders !== selection.bystanders) {
+            selection.status = status;
+            selection.bystanders = bystanders;
+            if (this.onFaceSelectionChange) {
+                this.onFaceSelectionChange(status, bystanders);
+            }
+        }
+        
+        // Single-face results need no rebuilding
+        if (faces.length <= 1 && chosen) return results;
+        
+        const pick = (list) => (chosen && list && list[chosen.index] ? [list[chosen.index]] : []);
+        return {
+            faceLandmarks: pick(results.faceLandmarks),
+            faceBlendshapes: pick(results.faceBlendshapes),
+            facialTransformationMatrixes: pick(results.facialTransformationMatrixes)
+        };
+    }
+    
+    resetFaceSelection() {
+        // Forget the enrolled user so the next face seen becomes primary
+        this.faceSelection.primary = null;
+        this.faceSelection.status = 'none';
+        this.faceSelection.bystanders = 0;
+    }
+    
+    loadReplay(trace, options = {}) {
+        if (trace.frames.length === 0) {
+            throw new Error('Landmark trace has no frames');
+        }
+        
+        this.replay = {
+            trace,
+            index: 0,
+            loop: options.loop || false,
+            speed: options.speed || 1,
+            startTime: null,  // performance.now() when playback began
+            pausedAt: null,
+            finished: false,
+            epoch: null       // frameTime of the first trace frame, set when playback begins
+        };
+        
+        if (!this.isInitialized) {
+            this.isInitialized = true;
+            this.mode = 'replay';
+        }
+        
+        console.log(`🎞️ FacePipeline: replaying trace (${trace.frames.length} frames, ${(trace.getDuration() / 1000).toFixed(1)}s)`);
+    }
+    
+    stopReplay() {
+        if (!this.replay) return;
+        
+        this.replay = null;
+        if (this.mode === 'replay') {
+            // Live inference needs the real landmarker loaded again
+            this.isInitialized = false;
+            this.mode = null;
+        }
+    }
+    
+    isReplaying() {
+        return this.replay !== null;
+    }
+    
+    // Now on the frameTime clock analyzers are given - trace time during a replay, wall clock otherwise
+    getFrameTime() {
+        const replay = this.replay;
+        if (!replay || replay.startTime === null) return Date.now();
+        
+        const now = replay.pausedAt !== null ? replay.pausedAt : performance.now();
+        return replay.epoch + Math.max(0, now - replay.startTime) * replay.speed;
+    }
+    
+    advanceReplay() {
+        const replay = this.replay;
+        const now = performance.now();
+        
+        if (replay.startTime === null) {
+            replay.startTime = now;
+            replay.epoch = Date.now();
+        }
+        
+        // Dispatch every frame that is due, in order, so detectors see the same sequence on every run
+        const traceTime = (now - replay.startTime) * replay.speed;
+        const frames = replay.trace.frames;
+        
+        while (replay.index < frames.length && frames[replay.index].t <= traceTime) {
+            const frame = frames[replay.index];
+            this.lastResults = replay.trace.getFrameResults(replay.index);
+            this.frameCount++;
+            this.dispatch(this.lastResults, replay.startTime + frame.t / replay.speed, replay.epoch + frame.t);
+            replay.index++;
+        }
+        
+        if (replay.index >= frames.length && !replay.finished) {
+            if (replay.loop) {
+                // Continue the clock one frame past the end so timings stay monotonic across loops
+                const frameGap = frames.length > 1 ? replay.trace.getDuration() / (frames.length - 1) : 33;
+                replay.epoch += replay.trace.getDuration() + frameGap;
+                replay.startTime = now + frameGap / replay.speed;
+                replay.index = 0;
+            } else {
+                console.log('🎞️ FacePipeline: trace replay finished');
+                replay.finished = true;
+                if (this.onReplayEnd) {
+                    this.onReplayEnd();
+                }
+            }
+        }
+    }
+    
+    getStats() {
+        return {
+            isInitialized: this.isInitialized,
+            isRunning: this.isRunning,
+            mode: this.mode,
+            delegate: this.delegate,
+            replay: this.replay ? { frame: this.replay.index, frames: this.replay.trace.frames.length } : null,
+            analyzers: Array.from(this.analyzers.keys()),
+            faceSelection: { status: this.faceSelection.status, bystanders: this.faceSelection.bystanders },
+            frameCount: this.frameCount,
+            lastInferenceMs: this.lastInferenceMs
+        };
+    }
+    
+    destroy() {
+        this.stop();
+        this.analyzers.clear();
+        
+        if (this.worker) {
+            this.worker.postMessage({ type: 'close' });
+            this.worker = null;
+        }
+        if (this.faceLandmarker) {
+            this.faceLandmarker.close();
+            this.faceLandmarker = null;
+        }
+        this.isInitialized = false;
+        this.initPromise = null;
+    }
+}
+
+// Export for use in other modules
+window.FacePipeline = FacePipeline;
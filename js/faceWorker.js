@@ -0,0 +1,98 @@
+/**
+ * FaceWorker - Runs MediaPipe Face Landmarker inference off the main thread
+ * FacePipeline posts camera frames as ImageBitmaps and receives plain results back
+ *
+ * Loaded as a classic worker: MediaPipe's WASM loader relies on importScripts,
+ * which module workers don't have. The vision bundle itself comes in via import().
+ */
+
+let faceLandmarker = null;
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    
+    switch (message.type) {
+        case 'init':
+            await initialize(message.options);
+            break;
+        case 'detect':
+            detect(message.frame, message.timestamp);
+            break;
+        case 'close':
+            if (faceLandmarker) {
+                faceLandmarker.close();
+                faceLandmarker = null;
+            }
+            self.close();
+            break;
+    }
+};
+
+async function initialize(options) {
+    try {
+        const vision = await import(options.visionBundle);
+        const { FaceLandmarker, FilesetResolver } = vision;
+        
+        const filesetResolver = await FilesetResolver.forVisionTasks(options.wasmPath);
+        
+        // Workers have no DOM, so the GPU delegate gets its own OffscreenCanvas
+        const createLandmarker = (delegate) => FaceLandmarker.createFromOptions(filesetResolver, {
+            baseOptions: {
+                modelAssetPath: options.modelPath,
+                delegate
+            },
+            canvas: new OffscreenCanvas(1, 1),
+            ...options.landmarkerOptions
+        });
+        
+        let delegate = 'GPU';
+        try {
+            faceLandmarker = await createLandmarker('GPU');
+        } catch (gpuError) {
+            delegate = 'CPU';
+            faceLandmarker = await createLandmarker('CPU');
+        }
+        
+        self.postMessage({ type: 'ready', delegate });
+    } catch (error) {
+        self.postMessage({ type: 'error', stage: 'init', message: error.message });
+    }
+}
+
+function detect(frame, timestamp) {
+    if (!faceLandmarker) {
+        frame.close();
+        self.postMessage({ type: 'error', stage: 'detect', message: 'Face landmarker not ready', timestamp });
+        return;
+    }
+    
+    try {
+        const results = faceLandmarker.detectForVideo(frame, timestamp);
+        self.postMessage({ type: 'results', timestamp, results: serializeResults(results) });
+    } catch (error) {
+        self.postMessage({ type: 'error', stage: 'detect', message: error.message, timestamp });
+    } finally {
+        frame.close();
+    }
+}
+
+function serializeResults(results) {
+    // Copy into plain objects so they survive structured cloning back to the page
+    return {
+        faceLandmarks: (results.faceLandmarks || []).map(landmarks =>
+            landmarks.map(({ x, y, z }) => ({ x, y, z }))
+        ),
+        faceBlendshapes: (results.faceBlendshapes || []).map(classifications => ({
+            headIndex: classifications.headIndex,
+            headName: classifications.headName,
+            categories: classifications.categories.map(({ index, score, categoryName, displayName }) => ({
+                index, score, categoryName, displayName
+            }))
+        })),
+        facialTransformationMatrixes: (results.facialTransformationMatrixes || []).map(matrix => ({
+            rows: matrix.rows,
+            columns: matrix.columns,
+            data: Array.from(matrix.data)
+        }))
+    };
+}
@@ -0,0 +1,163 @@
+/**
+ * FatigueDetector - Spots yawns and long eye closures in Face Landmarker blend shapes
+ * Yawns are a wide, sustained jawOpen (talking and laughing are too short);
+ * long closures are eyes held shut well past a slow blink but short of a deliberate rest.
+ * Recent events add up to a fatigue level that suggests a break when it crosses a threshold.
+ */
+
+class FatigueDetector {
+    constructor(facePipeline) {
+        this.facePipeline = facePipeline;
+        this.isActive = false;
+        
+        // Yawn detection
+        this.yawn = {
+            jawOpenThreshold: 0.55,  // jawOpen above this counts as mouth wide open
+            minDuration: 1500,       // Shorter openings are speech or laughter
+            maxDuration: 10000,      // Longer ones are probably not a yawn (eating, tracking glitch)
+            openSince: null
+        };
+        
+        // Long eye closure detection
+        this.closure = {
+            threshold: 0.6,          // Averaged eyeBlink above this counts as closed
+            minDuration: 800,        // Longer than a slow blink (docs/GAMEPLAY.md: 350ms)
+            maxDuration: 5000,       // Beyond this the user is resting on purpose
+            closedSince: null
+        };
+        
+        // Fatigue level from recent events
+        this.eventWeights = { yawn: 1, 'long-closure': 0.5 };
+        this.fatigueWindow = 5 * 60 * 1000; // Events older than this no longer count
+        this.fatigueThreshold = 2;
+        this.breakCooldown = 3 * 60 * 1000; // Minimum gap between break offers
+        this.lastBreakOffer = -Infinity;
+        
+        // Events this session: { type, time, duration }
+        this.events = [];
+        this.breaksOffered = 0;
+        
+        // Callbacks
+        this.onFatigueEvent = null; // (event, fatigueLevel)
+        this.onFatigueHigh = null;  // (fatigueLevel) - time to offer a break
+    }
+    
+    start(video = null) {
+        this.isActive = true;
+        this.facePipeline.attach('fatigue', this, video);
+    }
+    
+    stop() {
+        this.isActive = false;
+        this.facePipeline.detach('fatigue');
+        
+        // Don't let a pause split one long event into a false one
+        this.yawn.openSince = null;
+        this.closure.closedSince = null;
+    }
+    
+    resetSession() {
+        this.events = [];
+        this.breaksOffered = 0;
+        this.lastBreakOffer = -Infinity;
+        this.yawn.openSince = null;
+        this.closure.closedSince = null;
+    }
+    
+    processFrame(results, timestamp) {
+        // Called by FacePipeline for every processed frame
+        if (!this.isActive) return;
+        
+        const blendShapes = results.faceBlendshapes && results.faceBlendshapes[0];
+        if (!blendShapes) {
+            this.yawn.openSince = null;
+            this.closure.closedSince = null;
+            return;
+        }
+        
+        const scores = {};
+        blendShapes.categories.forEach(category => {
+            scores[category.categoryName] = category.score;
+        });
+        
+        this.trackYawn(scores.jawOpen || 0, timestamp);
+        this.trackClosure(((scores.eyeBlinkLeft || 0) + (scores.eyeBlinkRight || 0)) / 2, timestamp);
+    }
+    
+    trackYawn(jawOpen, timestamp) {
+        const yawn = this.yawn;
+        
+        if (jawOpen >= yawn.jawOpenThreshold) {
+            if (yawn.openSince === null) yawn.openSince = timestamp;
+            return;
+        }
+        
+        if (yawn.openSince !== null) {
+            const duration = timestamp - yawn.openSince;
+            yawn.openSince = null;
+            
+            if (duration >= yawn.minDuration && duration <= yawn.maxDuration) {
+                this.recordEvent('yawn', timestamp, duration);
+            }
+        }
+    }
+    
+    trackClosure(eyeBlink, timestamp) {
+        const closure = this.closure;
+        
+        if (eyeBlink >= closure.threshold) {
+            if (closure.closedSince === null) closure.closedSince = timestamp;
+            return;
+        }
+        
+        if (closure.closedSince !== null) {
+            const duration = timestamp - closure.closedSince;
+            closure.closedSince = null;
+            
+            if (duration >= closure.minDuration && duration <= closure.maxDuration) {
+                this.recordEvent('long-closure', timestamp, duration);
+            }
+        }
+    }
+    
+    recordEvent(type, timestamp, duration) {
+        const event = { type, time: timestamp, duration: Math.round(duration) };
+        this.events.push(event);
+        
+        const fatigueLevel = this.getFatigueLevel(timestamp);
+        console.log(`🥱 FatigueDetector: ${type} (${event.duration}ms), fatigue level ${fatigueLevel.toFixed(1)}`);
+        
+        if (this.onFatigueEvent) {
+            this.onFatigueEvent(event, fatigueLevel);
+        }
+        
+        if (fatigueLevel >= this.fatigueThreshold && timestamp - this.lastBreakOffer >= this.breakCooldown) {
+            this.lastBreakOffer = timestamp;
+            this.breaksOffered++;
+            
+            if (this.onFatigueHigh) {
+                this.onFatigueHigh(fatigueLevel);
+            }
+        }
+    }
+    
+    getFatigueLevel(now) {
+        // Events since the last break offer only, so one offer isn't immediately followed by another
+        const since = Math.max(now - this.fatigueWindow, this.lastBreakOffer);
+        
+        return this.events
+            .filter(event => event.time > since)
+            .reduce((sum, event) => sum + this.eventWeights[event.type], 0);
+    }
+    
+    getSessionSummary() {
+        return {
+            yawns: this.events.filter(event => event.type === 'yawn').length,
+            longClosures: this.events.filter(event => event.type === 'long-closure').length,
+            breaksOffered: this.breaksOffered
+        };
+    }
+}
+
+// Export for use in other modules
+window.FatigueDetector = FatigueDetector;
@@ -5,11 +5,25 @@
 
 class BlinkBloomGame {
     constructor() {
-        this.blinkDetector = new BlinkDetector();
-        this.gazeDetector = new GazeDetector();
+        // One landmarker feeds both detectors so each camera frame is only inferred once
+        this.facePipeline = new FacePipeline();
+        this.blinkDetector = new BlinkDetector(this.facePipeline);
+        this.gazeDetector = new GazeDetector(this.facePipeline);
+        this.trackingQuality = new TrackingQualityMonitor(this.facePipeline);
+        this.strainAnalyzer = new StrainAnalyzer(this.facePipeline);
+        this.strainAnalyzer.onStrainUpdate = (score) => this.updateStrainDisplay(score);
+        this.strainAnalyzer.onStrainHigh = () => this.showRestPrompt('strain');
+        this.fatigueDetector = new FatigueDetector(this.facePipeline);
+        this.fatigueDetector.onFatigueHigh = () => this.showRestPrompt('fatigue');
+        this.facePipeline.onLoadStatus = (report) => this.updateModelStatus(report);
+        this.facePipeline.onReplayEnd = () => this.updateTraceStatus('🎞️ Trace replay finished');
+        this.facePipeline.onFaceSelectionChange = (status, bystanders) => this.handleFaceSelectionChange(status, bystanders);
+        this.traceRecorder = null;
         this.cameraUtils = new CameraUtils();
         this.garden = new Garden();
         this.gazeCursor = new GazeCursor();
+        // Fixations must last a little longer than the usual minimum to count as deliberate
+        this.eyeMovementClassifier = new EyeMovementClassifier({ minFixationDuration: 200 });
         this.gazeDebugPanel = null;
         this.audioManager = new AudioManager();
         this.gameState = 'menu'; // 'menu', 'playing', 'paused', 'complete'
@@ -39,10 +53,50 @@ class BlinkBloomGame {
         this.consecutiveFaceLoss = 0;
         this.faceDetectionThreshold = 3000; // 3 seconds without face = look-away
         
+        // Bystander handling - scoring can be held while tracking has lost the user among other faces
+        this.pauseScoringForBystanders = false;
+        this.isScoringHeld = false;
+        
+        // Set while startGame is still awaiting calibrations and gaze start-up; pause waits for it
+        this.isStartingSession = false;
+        
+        // Neck exercise routine chosen in settings (see js/neckRoutines.js)
+        this.neckRoutineStorageKey = 'blinkBloom.neckRoutine';
+        this.gazeDwellStorageKey = 'blinkBloom.gazeDwell';
+        
         // Performance tracking
         this.blinkRate = 0; // Blinks per minute
         this.averageBlinkInterval = 0;
         this.blinkIntervals = [];
+        this.blinkRecords = [];
+        this.blinkTypeCounts = this.createBlinkTypeCounts();
+        
+        // In-game effect for each blink type (see docs/GAMEPLAY.md interaction mapping)
+        this.blinkTypeActions = {
+            slow: () => this.garden.calmWind(),
+            double: () => this.garden.clearWeeds(),
+            incomplete: () => this.showBlinkTypeHint('Try closing your eyes fully 👁️')
+        };
+        
+        // Rest prompts per trigger (docs/GAMEPLAY.md: Strain ↑ → Prompt Rest)
+        this.restPrompts = {
+            strain: {
+                message: 'Your eyes look strained - squinting, frowning or staring without blinking. A short look-away break will help your garden too.',
+                breakDuration: 5000,
+                offerEyesClosed: false
+            },
+            fatigue: {
+                message: "You've been yawning and resting your eyes - signs you're getting tired. How about a longer break, or 20 seconds with your eyes closed?",
+                breakDuration: 20000,
+                offerEyesClosed: true
+            }
+        };
+        this.activeRestPrompt = null;
+        
+        // Eyes-closed rest (palming) - tracked as continuous closure, not blinks
+        this.eyesClosedRestDuration = 20000;
+        this.eyesClosedRest = null;  // { startTime, timer, progressInterval } while running
+        this.eyesClosedRests = [];   // Closure stats of each completed rest this session
         
         // Plant tracking for session summary
         this.sessionPlantsGrown = 0;
@@ -96,7 +150,12 @@ class BlinkBloomGame {
         
         this.initializeEventListeners();
         this.setupCallbacks();
+        this.initializeVideoSourceFromUrl();
         this.initializeCameraSystem();
+        // Gaze select has to work from the main menu, before the first session starts gaze
+        this.loadTraceFromUrl()
+            .then(() => this.startGazeForDwell())
+            .catch(error => console.error('❌ Could not start gaze select:', error));
         
         // Initialize quest display after a short delay to ensure DOM is ready
         setTimeout(() => {
@@ -125,6 +184,7 @@ class BlinkBloomGame {
             }
         });
         document.getElementById('look-away-btn').addEventListener('click', () => this.startLookAwayBreak());
+        document.getElementById('eyes-closed-rest-btn').addEventListener('click', () => this.startEyesClosedRest());
         document.getElementById('new-session-btn').addEventListener('click', () => this.resetGame());
         
         // Add toggle-gaze-btn event listener only if element exists
@@ -142,6 +202,48 @@ class BlinkBloomGame {
         if (diagnosticsBtn) diagnosticsBtn.addEventListener('click', () => this.runCameraDiagnostics());
         if (cameraSelect) cameraSelect.addEventListener('change', (e) => this.switchCamera(e.target.value));
         
+        // Video file as camera source
+        const chooseVideoBtn = document.getElementById('choose-video-btn');
+        const videoFileInput = document.getElementById('video-file-input');
+        const useWebcamBtn = document.getElementById('use-webcam-btn');
+        const videoSpeedSelect = document.getElementById('video-speed');
+        const videoLoopCheckbox = document.getElementById('video-loop');
+        
+        if (chooseVideoBtn && videoFileInput) {
+            chooseVideoBtn.addEventListener('click', () => videoFileInput.click());
+            videoFileInput.addEventListener('change', (e) => this.useVideoFile(e.target.files[0]));
+        }
+        if (useWebcamBtn) useWebcamBtn.addEventListener('click', () => this.useWebcam());
+        if (videoSpeedSelect) videoSpeedSelect.addEventListener('change', (e) => this.cameraUtils.setPlaybackRate(parseFloat(e.target.value)));
+        if (videoLoopCheckbox) videoLoopCheckbox.addEventListener('change', (e) => this.cameraUtils.setLoop(e.target.checked));
+        
+        // Rest prompt
+        const restAcceptBtn = document.getElementById('rest-accept-btn');
+        const restDismissBtn = document.getElementById('rest-dismiss-btn');
+        if (restAcceptBtn) restAcceptBtn.addEventListener('click', () => this.acceptRestPrompt());
+        if (restDismissBtn) restDismissBtn.addEventListener('click', () => this.dismissRestPrompt());
+        const restEyesClosedBtn = document.getElementById('rest-eyes-closed-btn');
+        if (restEyesClosedBtn) restEyesClosedBtn.addEventListener('click', () => this.startEyesClosedRest());
+        
+        // Bystander handling
+        const pauseForBystandersCheckbox = document.getElementById('pause-for-bystanders');
+        if (pauseForBystandersCheckbox) {
+            pauseForBystandersCheckbox.addEventListener('change', (e) => {
+                this.pauseScoringForBystanders = e.target.checked;
+                const selection = this.facePipeline.faceSelection;
+                this.handleFaceSelectionChange(selection.status, selection.bystanders);
+            });
+        }
+        
+        // Neck exercise settings
+        const windHoldSelect = document.getElementById('wind-hold-duration');
+        if (windHoldSelect) {
+            windHoldSelect.value = String(this.garden.windSystem.holdDuration);
+            windHoldSelect.addEventListener('change', (e) => this.garden.setWindHoldDuration(parseInt(e.target.value, 10)));
+        }
+        this.initializeNeckRoutines();
+        this.initializeGazeDwell();
+        
         // Add debug panel button if it exists
         const debugBtn = document.getElementById('gaze-debug-btn');
         if (debugBtn) {
@@ -154,6 +256,31 @@ class BlinkBloomGame {
             calibrateBtn.addEventListener('click', () => this.toggleGazeCalibration());
         }
         
+        // Add blink calibration button if it exists
+        const calibrateBlinksBtn = document.getElementById('calibrate-blinks-btn');
+        if (calibrateBlinksBtn) {
+            calibrateBlinksBtn.addEventListener('click', () => this.recalibrateBlinks());
+        }
+        
+        // Add neck range-of-motion calibration button if it exists
+        const calibrateMotionBtn = document.getElementById('calibrate-motion-btn');
+        if (calibrateMotionBtn) {
+            calibrateMotionBtn.addEventListener('click', () => this.recalibrateMotion());
+        }
+        
+        // Landmark trace recording and replay
+        const recordTraceBtn = document.getElementById('record-trace-btn');
+        const loadTraceBtn = document.getElementById('load-trace-btn');
+        const traceFileInput = document.getElementById('trace-file-input');
+        const stopReplayBtn = document.getElementById('stop-replay-btn');
+        
+        if (recordTraceBtn) recordTraceBtn.addEventListener('click', () => this.toggleTraceRecording());
+        if (loadTraceBtn && traceFileInput) {
+            loadTraceBtn.addEventListener('click', () => traceFileInput.click());
+            traceFileInput.addEventListener('change', (e) => this.loadTraceFile(e.target.files[0]));
+        }
+        if (stopReplayBtn) stopReplayBtn.addEventListener('click', () => this.stopTraceReplay());
+        
         // Add close settings button
         const closeSettingsBtn = document.getElementById('close-settings-btn');
         if (closeSettingsBtn) {
@@ -214,6 +341,7 @@ class BlinkBloomGame {
         // Show debug panels
         const debugPanels = document.getElementById('debug-panels');
         debugPanels.classList.remove('hidden');
+        this.renderGazeProfiles();
     }
     
     hideSettings() {
@@ -648,9 +776,9 @@ class BlinkBloomGame {
             blinkDetectorExists: !!this.blinkDetector,
             blinkDetectorId: this.blinkDetector?.constructor?.name
         });
-        this.blinkDetector.onBlinkDetected = () => {
+        this.blinkDetector.onBlinkDetected = (blink) => {
             console.log('🔥 onBlinkDetected callback triggered');
-            this.handleBlink();
+            this.handleBlink(blink);
             
             // Also handle mini-game blinks
             if (this.symphonyState && this.symphonyState.isActive) {
@@ -663,6 +791,11 @@ class BlinkBloomGame {
             blinkDetectorInstance: this.blinkDetector
         });
         
+        // Blink type callback - slow, double, wink and incomplete blinks
+        this.blinkDetector.onBlinkClassified = (type) => {
+            this.handleBlinkType(type);
+        };
+        
         // Face detection callback
         this.blinkDetector.onFaceDetected = (faceDetected, eyeAspectRatio) => {
             this.handleFaceDetection(faceDetected, eyeAspectRatio);
@@ -678,11 +811,28 @@ class BlinkBloomGame {
             this.handleGazeDetection(gaze, details);
         };
         
+        // Plants react to deliberate fixations rather than every noisy gaze frame
+        this.eyeMovementClassifier.onFixationStart = (fixation) => {
+            if (this.gazeEnabled && this.gameState === 'playing') {
+                this.handleGazeBasedPlantInteraction(fixation);
+            }
+        };
+        
         // Head direction callback for wind gameplay
         this.gazeDetector.onHeadDirectionChanged = (newDirection, previousDirection, details) => {
             this.handleHeadDirectionChange(newDirection, previousDirection, details);
         };
         
+        // Head angles measure how far each wind stretch goes
+        this.gazeDetector.onHeadPoseChanged = (headPose) => {
+            if (this.gameState === 'playing') {
+                this.garden.updateWindAngle(headPose);
+            }
+        };
+        
+        // Saved gaze calibrations listed in settings
+        this.gazeDetector.onCalibrationProfilesChange = (profiles) => this.renderGazeProfiles(profiles);
+        
         this.gazeDetector.onError = (error) => {
             console.warn('Gaze detection error:', error);
             // Don't stop the game for gaze errors, just log them
@@ -723,7 +873,7 @@ class BlinkBloomGame {
                 
                 // Initialize debug panel
                 if (!this.gazeDebugPanel) {
-                    this.gazeDebugPanel = new GazeDebugPanel(this.gazeDetector);
+                    this.gazeDebugPanel = new GazeDebugPanel(this.gazeDetector, this.gazeCursor);
                     window.gazeDebugPanel = this.gazeDebugPanel; // Global reference
                 }
             } else {
@@ -732,24 +882,29 @@ class BlinkBloomGame {
             }
         }
         
-        // Start camera using enhanced camera system
+        // Start camera using enhanced camera system (a replayed trace stands in for it)
         const video = document.getElementById('camera-feed');
         const selectedDeviceId = document.getElementById('camera-select').value || null;
         
-        this.updateCameraStatus('Starting camera...');
-        const cameraStarted = await this.cameraUtils.startCamera(video, selectedDeviceId);
-        
-        if (!cameraStarted) {
-            this.handleError('Failed to start camera');
-            return;
+        if (this.facePipeline.isReplaying()) {
+            this.updateCameraStatus('Replaying landmark trace - camera not used');
+        } else {
+            this.updateCameraStatus('Starting camera...');
+            const cameraStarted = await this.cameraUtils.startCamera(video, selectedDeviceId);
+            
+            if (!cameraStarted) {
+                this.handleError('Failed to start camera');
+                return;
+            }
+            
+            this.updateCameraStatus(`Active: ${this.cameraUtils.getCurrentDevice()?.label || 'Default camera'}`);
         }
         
-        this.updateCameraStatus(`Active: ${this.cameraUtils.getCurrentDevice()?.label || 'Default camera'}`);
-        
         // Setup gaze detector with same video feed if enabled
         if (this.gazeEnabled && this.gazeDetector.isInitialized) {
             const gazeCanvas = document.getElementById('gaze-canvas') || this.createGazeCanvas();
             this.gazeDetector.setupCamera(video, gazeCanvas);
+            this.syncGazeCameraDevice();
         }
         
         // Reset game state
@@ -758,7 +913,20 @@ class BlinkBloomGame {
         this.totalBlinks = 0;
         this.lookAwayBreaks = 0;
         this.blinkIntervals = [];
+        this.blinkRecords = [];
+        this.blinkTypeCounts = this.createBlinkTypeCounts();
+        this.trackingQuality.resetSession();
+        this.strainAnalyzer.resetSession();
+        this.fatigueDetector.resetSession();
+        this.eyeMovementClassifier.resetSession();
+        this.eyesClosedRests = [];
+        this.updateStrainDisplay(0);
+        this.facePipeline.resetFaceSelection();
+        this.isScoringHeld = false;
+        this.totalPauseTime = 0;
+        this.pauseStartTime = null;
         this.gameState = 'playing';
+        this.isStartingSession = true;
         
         console.log('🔥 REACHED SETUP SECTION - About to setup blink detector camera');
         
@@ -773,8 +941,17 @@ class BlinkBloomGame {
         this.blinkDetector.setupCamera(video, blinkCanvas);
         console.log('✅ setupCamera called successfully');
         
+        // Measure personal blink thresholds once, before the first session
+        if (this.blinkDetector.needsCalibration() && !this.facePipeline.isReplaying()) {
+            this.blinkDetector.startDetection();
+            await this.blinkDetector.startBlinkCalibration();
+            this.blinkDetector.stopDetection(); // Restarted with the other analyzers below
+            this.sessionStartTime = Date.now(); // Calibration time doesn't count against the session
+        }
+        
         // Reset garden
         this.garden.reset();
+        this.garden.restartRoutine();
         
         // Set up garden callbacks for quest tracking
         this.garden.onPlantBloomed = (plant) => {
@@ -787,14 +964,11 @@ class BlinkBloomGame {
             this.updateQuestProgress('wind_alignment', 1);
         };
         
-        // Start garden health decay when session begins
-        this.garden.startHealthDecay();
-        
         // Ensure callbacks are set before starting detection
         console.log('🔄 Re-ensuring blink detection callback before starting detection...');
-        this.blinkDetector.onBlinkDetected = () => {
+        this.blinkDetector.onBlinkDetected = (blink) => {
             console.log('🔥 onBlinkDetected callback triggered');
-            this.handleBlink();
+            this.handleBlink(blink);
             
             // Also handle mini-game blinks
             if (this.symphonyState && this.symphonyState.isActive) {
@@ -806,21 +980,48 @@ class BlinkBloomGame {
             callbackType: typeof this.blinkDetector.onBlinkDetected
         });
         
-        // Start detection and timers
-        this.blinkDetector.startDetection();
-        
         // Auto-enable gaze detection for head/neck tracking
         if (!this.gazeEnabled) {
-            this.toggleGazeDetection(); // This will enable and initialize gaze detection
+            // Awaited so the first session gets head tracking, and with it wind holds, too
+            await this.toggleGazeDetection(); // This will enable and initialize gaze detection
         }
         
         if (this.gazeEnabled && this.gazeDetector.isInitialized) {
             this.gazeDetector.startDetection();
+            
+            if (this.gazeDetector.needsMotionCalibration() && !this.facePipeline.isReplaying()) {
+                // Measure a comfortable neck range once, so wind thresholds fit the player.
+                // Runs before the blink analyzers start so the calibration doesn't count towards the session
+                await this.gazeDetector.startMotionCalibration();
+                this.sessionStartTime = Date.now(); // Calibration time doesn't count against the session
+                
+                // Left during calibration - nothing below should start
+                if (this.gameState !== 'playing') {
+                    this.isStartingSession = false;
+                    this.updateUI();
+                    return;
+                }
+            } else {
+                // Wind directions are measured from how the player sits at the start of the session
+                this.gazeDetector.calibrateNeutralPose();
+            }
             // Start wind system for neck exercise gameplay
             this.startWindSystem();
         }
+        
+        // Start garden health decay when session begins, unless scoring is on hold
+        if (!this.isScoringHeld) {
+            this.garden.startHealthDecay();
+        }
+        
+        // Start detection and timers
+        this.blinkDetector.startDetection();
+        this.trackingQuality.start(video, document.getElementById('camera-container'));
+        this.strainAnalyzer.start(video);
+        this.fatigueDetector.start(video);
         this.startGameTimer();
         this.startSessionTimer();
+        this.isStartingSession = false;
         
         // Update UI
         this.updateUI();
@@ -833,11 +1034,17 @@ class BlinkBloomGame {
     }
     
     pauseGame() {
-        if (this.gameState !== 'playing') return;
+        // Pausing mid start-up or mid calibration would let resumeGame start everything twice
+        if (this.gameState !== 'playing' || this.isStartingSession || this.isCalibrating()) return;
         
+        this.cancelEyesClosedRest();
         this.gameState = 'paused';
         this.pauseStartTime = Date.now();
         this.blinkDetector.stopDetection();
+        this.trackingQuality.stop();
+        this.strainAnalyzer.stop();
+        this.fatigueDetector.stop();
+        this.eyeMovementClassifier.stop();
         this.garden.stopHealthDecay();
         this.stopWindSystem(); // Stop wind system when paused
         
@@ -854,7 +1061,8 @@ class BlinkBloomGame {
     }
     
     resumeGame() {
-        if (this.gameState !== 'paused') return;
+        // The recalibrate wizards pause the game and resume it themselves when they finish
+        if (this.gameState !== 'paused' || this.isCalibrating()) return;
         
         // Calculate pause duration
         if (this.pauseStartTime) {
@@ -866,13 +1074,18 @@ class BlinkBloomGame {
         // Only start detection if blink detector has camera set up
         if (this.blinkDetector.video && this.blinkDetector.canvas) {
             this.blinkDetector.startDetection();
+            this.trackingQuality.start(this.blinkDetector.video);
+            this.strainAnalyzer.start(this.blinkDetector.video);
+            this.fatigueDetector.start(this.blinkDetector.video);
         }
         // Restart gaze detection and wind system if enabled
         if (this.gazeEnabled && this.gazeDetector.isInitialized) {
             this.gazeDetector.startDetection();
             this.startWindSystem();
         }
-        this.garden.startHealthDecay();
+        if (!this.isScoringHeld) {
+            this.garden.startHealthDecay();
+        }
         this.startGameTimer();
         
         // Restart session timer with remaining time
@@ -882,6 +1095,10 @@ class BlinkBloomGame {
         console.log('Game resumed');
     }
     
+    isCalibrating() {
+        return this.blinkDetector.calibration.isCalibrating || this.gazeDetector.motionCalibration.isCalibrating;
+    }
+    
     startGameTimer() {
         this.gameTimer = setInterval(() => {
             this.updateGameTimer();
@@ -936,19 +1153,25 @@ class BlinkBloomGame {
         }
     }
     
-    handleBlink() {
+    handleBlink(blink = null) {
         console.log('🔍 handleBlink called - gameState:', this.gameState, 'isOnLookAwayBreak:', this.isOnLookAwayBreak, 'sessionBlinks before:', this.sessionBlinks);
         
-        if (this.gameState !== 'playing' || this.isOnLookAwayBreak) {
-            console.log('🚫 Blink ignored - gameState:', this.gameState, 'isOnLookAwayBreak:', this.isOnLookAwayBreak);
+        if (this.gameState !== 'playing' || this.isOnLookAwayBreak || this.isScoringHeld) {
+            console.log('🚫 Blink ignored - gameState:', this.gameState, 'isOnLookAwayBreak:', this.isOnLookAwayBreak, 'isScoringHeld:', this.isScoringHeld);
             return;
         }
         
-        const currentTime = Date.now();
+        // Use the detector's own timestamp so intervals reflect when the eye reopened
+        const currentTime = blink ? blink.endTime : Date.now();
         this.sessionBlinks++;
         this.totalBlinks++;
         console.log('✅ Blink counted! Session blinks after increment:', this.sessionBlinks);
         
+        // Keep detected blink records for duration and completeness stats
+        if (blink && !blink.simulated) {
+            this.blinkRecords.push(blink);
+        }
+        
         // Track blink intervals for health metrics
         if (this.lastBlinkTime > 0) {
             const interval = currentTime - this.lastBlinkTime;
@@ -985,8 +1208,54 @@ class BlinkBloomGame {
         console.log(`Blink detected! Total: ${this.sessionBlinks}, Plants watered: ${plantsWatered}`);
     }
     
+    getBlinkRecordStats() {
+        const records = this.blinkRecords;
+        if (records.length === 0) {
+            return { averageDuration: 0, completeness: 0, averageConfidence: 0 };
+        }
+        
+        const complete = records.filter(blink => blink.type !== 'incomplete').length;
+        
+        return {
+            averageDuration: records.reduce((sum, blink) => sum + blink.duration, 0) / records.length,
+            completeness: complete / records.length,
+            averageConfidence: records.reduce((sum, blink) => sum + blink.confidence, 0) / records.length
+        };
+    }
+    
+    formatTrackingQuality(stats) {
+        if (stats.quality === null) return '—';
+        
+        const percent = `${Math.round(stats.quality * 100)}%`;
+        return stats.mainIssue ? `${percent} (${this.trackingQuality.checks[stats.mainIssue].label})` : percent;
+    }
+    
+    createBlinkTypeCounts() {
+        return { normal: 0, slow: 0, double: 0, 'wink-left': 0, 'wink-right': 0, incomplete: 0 };
+    }
+    
+    handleBlinkType(type) {
+        if (this.gameState !== 'playing' || this.isOnLookAwayBreak || this.isScoringHeld) return;
+        
+        this.blinkTypeCounts[type] = (this.blinkTypeCounts[type] || 0) + 1;
+        
+        const action = this.blinkTypeActions[type];
+        if (action) {
+            action();
+        }
+        
+        console.log(`👁️ ${type} blink`, this.blinkTypeCounts);
+    }
+    
+    showBlinkTypeHint(text) {
+        const tipElement = document.getElementById('current-tip');
+        if (tipElement) {
+            tipElement.textContent = text;
+        }
+    }
+    
     handleFaceDetection(faceDetected, blinkIntensity) {
-        if (this.gameState !== 'playing') return;
+        if (this.gameState !== 'playing' || this.isScoringHeld || this.eyesClosedRest) return;
         
         if (!faceDetected) {
             this.consecutiveFaceLoss += 100; // Approximate detection delay
@@ -1001,9 +1270,153 @@ class BlinkBloomGame {
         }
     }
     
-    startLookAwayBreak() {
+    handleFaceSelectionChange(status, bystanders) {
+        const notice = document.getElementById('face-selection-notice');
+        if (notice) {
+            if (status === 'searching') {
+                notice.textContent = '🔎 Someone else is in view - look at the camera to lock back on';
+            } else if (bystanders > 0) {
+                notice.textContent = `👥 ${bystanders === 1 ? 'Someone else is' : bystanders + ' others are'} in view - still tracking you`;
+            }
+            notice.style.display = status === 'searching' || bystanders > 0 ? 'block' : 'none';
+        }
+        
+        const shouldHold = this.pauseScoringForBystanders && status === 'searching';
+        if (shouldHold !== this.isScoringHeld) {
+            this.setScoringHold(shouldHold);
+        }
+    }
+    
+    setScoringHold(held) {
+        this.isScoringHeld = held;
+        console.log(held ? '⏸️ Scoring held - tracking lost among other faces' : '▶️ Tracking locked back on - scoring resumed');
+        
+        if (this.gameState !== 'playing') return;
+        
+        // Plants shouldn't wilt for blinks the game can't attribute to the player
+        if (held) {
+            this.garden.stopHealthDecay();
+            this.consecutiveFaceLoss = 0;
+        } else {
+            this.garden.startHealthDecay();
+        }
+    }
+    
+    updateStrainDisplay(score) {
+        const strainElement = document.getElementById('strain-level');
+        if (strainElement) {
+            strainElement.textContent = `${Math.round(score * 100)}%`;
+            strainElement.style.color = score >= this.strainAnalyzer.restThreshold ? '#8C6A89' : '';
+        }
+    }
+    
+    showRestPrompt(reason) {
         if (this.gameState !== 'playing' || this.isOnLookAwayBreak) return;
         
+        const prompt = document.getElementById('rest-prompt');
+        if (!prompt || !prompt.classList.contains('hidden')) return;
+        
+        const restPrompt = this.restPrompts[reason];
+        this.activeRestPrompt = restPrompt;
+        document.getElementById('rest-prompt-text').textContent = restPrompt.message;
+        document.getElementById('rest-eyes-closed-btn').style.display = restPrompt.offerEyesClosed ? '' : 'none';
+        this.showElement('rest-prompt');
+        this.audioManager.playRestChime();
+    }
+    
+    acceptRestPrompt() {
+        this.hideElement('rest-prompt');
+        this.startLookAwayBreak(this.activeRestPrompt.breakDuration);
+    }
+    
+    startEyesClosedRest() {
+        this.hideElement('rest-prompt');
+        if (this.gameState !== 'playing' || this.isOnLookAwayBreak || this.eyesClosedRest) return;
+        
+        // Closure tracking runs on the frame clock, which is trace time during a replay
+        const startTime = this.facePipeline.getFrameTime();
+        this.blinkDetector.startClosureTracking(startTime);
+        this.blinkDetector.onClosureChange = (isClosed, stats) => this.handleRestClosureChange(isClosed, stats);
+        
+        // Long closures here are the point of the exercise, not fatigue
+        this.fatigueDetector.stop();
+        
+        this.eyesClosedRest = {
+            startTime,
+            timer: setTimeout(() => this.finishEyesClosedRest(), this.eyesClosedRestDuration),
+            progressInterval: setInterval(() => this.updateEyesClosedRestUI(), 250)
+        };
+        
+        this.updateEyesClosedRestUI();
+        this.showElement('eyes-closed-rest');
+        this.audioManager.playRestChime();
+        console.log('🌙 Eyes-closed rest started');
+    }
+    
+    handleRestClosureChange(isClosed, stats) {
+        // Eyes opened early - a quiet low note as a reminder, unless the rest is nearly over
+        const remaining = this.eyesClosedRestDuration - stats.elapsed;
+        if (!isClosed && remaining > 3000) {
+            this.audioManager.playSound('rest', 0.75, 0.3);
+        }
+    }
+    
+    updateEyesClosedRestUI() {
+        if (!this.eyesClosedRest) return;
+        
+        const stats = this.blinkDetector.getClosureStats(this.facePipeline.getFrameTime());
+        const remaining = Math.max(0, this.eyesClosedRestDuration - stats.elapsed);
+        const closedPercent = Math.min(100, stats.totalClosed / this.eyesClosedRestDuration * 100);
+        
+        document.getElementById('eyes-closed-fill').style.width = `${closedPercent}%`;
+        document.getElementById('eyes-closed-status').textContent = stats.isClosed
+            ? `Eyes closed · ${Math.ceil(remaining / 1000)}s left`
+            : `Close your eyes · ${Math.ceil(remaining / 1000)}s left`;
+    }
+    
+    finishEyesClosedRest() {
+        if (!this.eyesClosedRest) return;
+        
+        const stats = this.endEyesClosedRest();
+        this.eyesClosedRests.push(stats);
+        
+        // Night dew scales with how much of the rest the eyes really stayed shut
+        const strength = Math.min(1, stats.totalClosed / this.eyesClosedRestDuration);
+        this.garden.triggerNightDew(strength);
+        this.audioManager.playWakeChime();
+        this.showBlinkTypeHint(`🌙 Eyes closed for ${Math.round(stats.totalClosed / 1000)}s of ${this.eyesClosedRestDuration / 1000}s - night dew fell on your garden`);
+        
+        if (this.gameState === 'playing') {
+            this.fatigueDetector.start(this.blinkDetector.video);
+        }
+        console.log('🌙 Eyes-closed rest complete:', stats);
+    }
+    
+    cancelEyesClosedRest() {
+        if (!this.eyesClosedRest) return;
+        
+        this.endEyesClosedRest();
+        console.log('🌙 Eyes-closed rest cancelled');
+    }
+    
+    endEyesClosedRest() {
+        clearTimeout(this.eyesClosedRest.timer);
+        clearInterval(this.eyesClosedRest.progressInterval);
+        this.eyesClosedRest = null;
+        
+        const stats = this.blinkDetector.stopClosureTracking(this.facePipeline.getFrameTime());
+        this.blinkDetector.onClosureChange = null;
+        this.hideElement('eyes-closed-rest');
+        return stats;
+    }
+    
+    dismissRestPrompt() {
+        this.hideElement('rest-prompt');
+    }
+    
+    startLookAwayBreak(duration = this.lookAwayDuration) {
+        if (this.gameState !== 'playing' || this.isOnLookAwayBreak || this.eyesClosedRest) return;
+        
         this.isOnLookAwayBreak = true;
         this.lookAwayBreaks++;
         this.lastLookAwayTime = Date.now();
@@ -1017,7 +1430,7 @@ class BlinkBloomGame {
         // Set timer for break duration
         this.lookAwayTimer = setTimeout(() => {
             this.endLookAwayBreak();
-        }, this.lookAwayDuration);
+        }, duration);
         
         console.log('Look-away break started');
     }
@@ -1080,10 +1493,15 @@ class BlinkBloomGame {
     endGame() {
         console.log('Game session complete!');
         
+        this.cancelEyesClosedRest();
         this.gameState = 'complete';
         
         // Stop all timers and detection
         this.blinkDetector.stopDetection();
+        this.trackingQuality.stop();
+        this.strainAnalyzer.stop();
+        this.fatigueDetector.stop();
+        this.eyeMovementClassifier.stop();
         this.garden.stopHealthDecay();
         this.stopWindSystem(); // Stop wind system when game ends
         
@@ -1112,6 +1530,12 @@ class BlinkBloomGame {
         const gardenStats = this.garden.getGardenStats();
         const windStats = this.garden.getWindStats();
         const healthScore = this.calculateHealthScore();
+        const blinkRecordStats = this.getBlinkRecordStats();
+        const trackingStats = this.trackingQuality.getSessionSummary();
+        const strainStats = this.strainAnalyzer.getSessionSummary();
+        const fatigueStats = this.fatigueDetector.getSessionSummary();
+        const fixationStats = this.eyeMovementClassifier.getSessionSummary();
+        const restClosedMs = this.eyesClosedRests.reduce((sum, rest) => sum + rest.totalClosed, 0);
         
         // Generate summary HTML with organized multi-column sections
         statsContainer.innerHTML = `
@@ -1122,6 +1546,42 @@ class BlinkBloomGame {
                     <h4>Total Blinks</h4>
                     <div class="value">${this.sessionBlinks}</div>
                 </div>
+                <div class="summary-stat">
+                    <h4>Slow / Double Blinks</h4>
+                    <div class="value">${this.blinkTypeCounts.slow} / ${this.blinkTypeCounts.double}</div>
+                </div>
+                <div class="summary-stat">
+                    <h4>Incomplete Blinks</h4>
+                    <div class="value">${this.blinkTypeCounts.incomplete}</div>
+                </div>
+                <div class="summary-stat">
+                    <h4>Avg Blink Duration</h4>
+                    <div class="value">${this.blinkRecords.length > 0 ? Math.round(blinkRecordStats.averageDuration) + 'ms' : '—'}</div>
+                </div>
+                <div class="summary-stat">
+                    <h4>Blink Completeness</h4>
+                    <div class="value">${this.blinkRecords.length > 0 ? Math.round(blinkRecordStats.completeness * 100) + '%' : '—'}</div>
+                </div>
+                <div class="summary-stat">
+                    <h4>Avg / Peak Strain</h4>
+                    <div class="value">${strainStats.averageStrain !== null ? Math.round(strainStats.averageStrain * 100) + '% / ' + Math.round(strainStats.peakStrain * 100) + '%' : '—'}</div>
+                </div>
+                <div class="summary-stat">
+                    <h4>Yawns / Long Closures</h4>
+                    <div class="value">${fatigueStats.yawns} / ${fatigueStats.longClosures}</div>
+                </div>
+                <div class="summary-stat">
+                    <h4>Eyes-Closed Rests</h4>
+                    <div class="value">${this.eyesClosedRests.length > 0 ? `${this.eyesClosedRests.length} (${Math.round(restClosedMs / 1000)}s closed)` : '0'}</div>
+                </div>
+                <div class="summary-stat">
+                    <h4>Fixations / Avg Length</h4>
+                    <div class="value">${fixationStats.fixationCount > 0 ? `${fixationStats.fixationCount} / ${Math.round(fixationStats.averageFixationDuration)}ms` : '—'}</div>
+                </div>
+                <div class="summary-stat">
+                    <h4>Tracking Quality</h4>
+                    <div class="value">${this.formatTrackingQuality(trackingStats)}</div>
+                </div>
                 <div class="summary-stat">
                     <h4>Look-Away Breaks</h4>
                     <div class="value">${this.lookAwayBreaks}</div>
@@ -1164,6 +1624,11 @@ class BlinkBloomGame {
                     <h4>Neck Exercise Success</h4>
                     <div class="value">${(windStats.recentAlignmentRate * 100).toFixed(0)}%</div>
                 </div>
+                <div class="summary-stat">
+                    <h4>Avg Hold / Angle</h4>
+                    <div class="value">${windStats.totalWindEvents > 0 ? 
+                        `${(windStats.averageHoldScore * 100).toFixed(0)}% / ${windStats.averageAngle.toFixed(0)}°` : '—'}</div>
+                </div>
             </div>
         `;
         
@@ -1338,8 +1803,12 @@ class BlinkBloomGame {
         if (this.gameTimer) clearInterval(this.gameTimer);
         if (this.sessionTimer) clearTimeout(this.sessionTimer);
         if (this.lookAwayTimer) clearTimeout(this.lookAwayTimer);
+        this.cancelEyesClosedRest();
         
         this.blinkDetector.stopDetection();
+        this.trackingQuality.stop();
+        this.strainAnalyzer.stop();
+        this.fatigueDetector.stop();
         this.garden.reset();
         
         // Reset state
@@ -1349,6 +1818,8 @@ class BlinkBloomGame {
         this.lookAwayBreaks = 0;
         this.isOnLookAwayBreak = false;
         this.blinkIntervals = [];
+        this.blinkRecords = [];
+        this.blinkTypeCounts = this.createBlinkTypeCounts();
         
         // Reset session plant counters
         this.sessionPlantsGrown = 0;
@@ -1451,7 +1922,7 @@ class BlinkBloomGame {
                 const video = document.getElementById('camera-feed');
                 
                 // If no existing video stream, start camera
-                if (!video.srcObject) {
+                if (!this.cameraUtils.isActive() && !this.facePipeline.isReplaying()) {
                     this.updateGazeStatus('Starting camera for gaze detection...');
                     const selectedDeviceId = document.getElementById('camera-select').value || null;
                     const cameraStarted = await this.cameraUtils.startCamera(video, selectedDeviceId);
@@ -1471,8 +1942,10 @@ class BlinkBloomGame {
                 console.error('❌ Error initializing gaze detection:', error);
                 this.updateGazeStatus('Failed to initialize gaze detection');
                 this.gazeEnabled = false;
-                button.textContent = 'Enable Gaze Detection';
-                button.style.background = '';
+                if (button) {
+                    button.textContent = 'Enable Gaze Detection';
+                    button.style.background = '';
+                }
             }
         } else {
             if (button) {
@@ -1480,6 +1953,7 @@ class BlinkBloomGame {
                 button.style.background = '';
             }
             this.gazeDetector.stopDetection();
+            this.eyeMovementClassifier.stop();
             this.updateGazeStatus('Gaze detection disabled');
             
             // Hide gaze cursor and clear any overlays
@@ -1529,9 +2003,80 @@ class BlinkBloomGame {
         const video = document.getElementById('camera-feed');
         const gazeCanvas = document.getElementById('gaze-canvas') || this.createGazeCanvas();
         this.gazeDetector.setupCamera(video, gazeCanvas);
+        this.syncGazeCameraDevice();
         this.gazeDetector.startDetection();
     }
     
+    syncGazeCameraDevice() {
+        // Saved gaze calibrations are per camera, so the detector needs to know which one is live
+        const device = this.cameraUtils.getCurrentDevice();
+        this.gazeDetector.setCameraDevice(
+            device ? device.deviceId : this.cameraUtils.currentDeviceId,
+            device ? device.label : null
+        );
+    }
+    
+    renderGazeProfiles(profiles = this.gazeDetector.getCalibrationProfiles()) {
+        const list = document.getElementById('gaze-profile-list');
+        const status = document.getElementById('gaze-profile-status');
+        if (!list || !status) return;
+        
+        const active = profiles.find(profile => profile.isActive);
+        if (!active) {
+            status.textContent = 'Not calibrated for this camera and screen';
+        } else if (active.isStale) {
+            status.textContent = `⚠️ "${active.name}" is stale - window size or camera changed. Re-run it for best accuracy.`;
+        } else {
+            status.textContent = `Using "${active.name}"`;
+        }
+        
+        list.innerHTML = '';
+        if (profiles.length === 0) {
+            list.innerHTML = '<li class="gaze-profile-empty">No saved calibrations yet - use 🎯 Calibrate</li>';
+            return;
+        }
+        
+        profiles.forEach(profile => {
+            const item = document.createElement('li');
+            item.className = `gaze-profile${profile.isActive ? ' active' : ''}${profile.isStale ? ' stale' : ''}`;
+            
+            const error = profile.averageError !== null ? ` · ±${Math.round(profile.averageError)}px` : '';
+            item.innerHTML = `
+                <div class="gaze-profile-name"></div>
+                <div class="gaze-profile-details"></div>
+                <div class="gaze-profile-actions">
+                    <button data-action="rename">✏️ Rename</button>
+                    <button data-action="rerun" ${profile.matchesCurrent ? '' : 'disabled title="Connect this camera and screen to re-run"'}>🔁 Re-run</button>
+                    <button data-action="delete">🗑️ Delete</button>
+                </div>
+            `;
+            // Names are user-entered, so they go in as text
+            item.querySelector('.gaze-profile-name').textContent = `${profile.isActive ? '▶ ' : ''}${profile.name}`;
+            item.querySelector('.gaze-profile-details').textContent =
+                `${profile.screen.width}×${profile.screen.height}${error} · ${new Date(profile.updatedAt).toLocaleDateString()}`;
+            
+            item.querySelector('[data-action="rename"]').addEventListener('click', () => {
+                const name = window.prompt('Calibration name:', profile.name);
+                if (name) this.gazeDetector.renameCalibrationProfile(profile.id, name);
+            });
+            item.querySelector('[data-action="rerun"]').addEventListener('click', () => {
+                if (!this.gazeEnabled || !this.gazeDetector.isDetecting) {
+                    this.updateCameraStatus('Start a session to re-run gaze calibration');
+                    return;
+                }
+                this.hideSettings();
+                this.gazeDetector.rerunCalibrationProfile(profile.id);
+            });
+            item.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                if (window.confirm(`Delete gaze calibration "${profile.name}"?`)) {
+                    this.gazeDetector.deleteCalibrationProfile(profile.id);
+                }
+            });
+            
+            list.appendChild(item);
+        });
+    }
+    
     createGazeCanvas() {
         const canvas = document.createElement('canvas');
         canvas.id = 'gaze-canvas';
@@ -1558,6 +2103,9 @@ class BlinkBloomGame {
     }
     
     handleGazeDetection(gaze, details) {
+        // Off the garden (menus, settings, pause, summary) the gaze cursor selects buttons
+        this.updateDwellCursor(gaze, details);
+        
         if (!this.gazeEnabled || this.gameState !== 'playing') return;
         
         const newRegion = this.gazeDetector.getGazeRegion();
@@ -1566,10 +2114,6 @@ class BlinkBloomGame {
         const screenCoords = this.gazeDetector.gazeToScreenCoordinates(gaze);
         
         // Gaze cursor disabled for head/neck tracking mode
-        // if (this.gazeDetector.sensitivity) {
-        //     this.gazeCursor.setSmoothing(this.gazeDetector.sensitivity.smoothing);
-        // }
-        // 
         // this.gazeCursor.updatePosition({
         //     ...gaze,
         //     confidence: details.confidence || 0.5
@@ -1584,8 +2128,8 @@ class BlinkBloomGame {
         // Update gaze visualization
         this.updateGazeVisualization(gaze, newRegion);
         
-        // Handle gaze-based plant interactions
-        this.handleGazeBasedPlantInteraction(gaze, details, screenCoords);
+        // Classify fixations and saccades; plant interactions wait for a fixation
+        this.eyeMovementClassifier.addSample(screenCoords, details.timestamp, details.confidence);
     }
     
     onGazeRegionChanged(region, gaze, details) {
@@ -1613,21 +2157,21 @@ class BlinkBloomGame {
         }
     }
     
-    handleGazeBasedPlantInteraction(gaze, details, screenCoords) {
-        // Check if gaze is over the garden area
+    handleGazeBasedPlantInteraction(fixation) {
+        // Check if the fixation is over the garden area
         const gardenElement = document.getElementById('garden-grid');
         if (!gardenElement) return;
         
         const gardenRect = gardenElement.getBoundingClientRect();
-        const isOverGarden = screenCoords.x >= gardenRect.left && 
-                           screenCoords.x <= gardenRect.right && 
-                           screenCoords.y >= gardenRect.top && 
-                           screenCoords.y <= gardenRect.bottom;
+        const isOverGarden = fixation.x >= gardenRect.left && 
+                           fixation.x <= gardenRect.right && 
+                           fixation.y >= gardenRect.top && 
+                           fixation.y <= gardenRect.bottom;
         
-        if (isOverGarden && details.confidence > 0.6) {
+        if (isOverGarden && fixation.confidence > 0.6) {
             // Calculate which plant cell the gaze is over
-            const cellX = Math.floor((screenCoords.x - gardenRect.left) / (gardenRect.width / this.garden.gridSize));
-            const cellY = Math.floor((screenCoords.y - gardenRect.top) / (gardenRect.height / this.garden.gridSize));
+            const cellX = Math.floor((fixation.x - gardenRect.left) / (gardenRect.width / this.garden.gridSize));
+            const cellY = Math.floor((fixation.y - gardenRect.top) / (gardenRect.height / this.garden.gridSize));
             
             if (cellX >= 0 && cellX < this.garden.gridSize && cellY >= 0 && cellY < this.garden.gridSize) {
                 const plant = this.garden.getPlantAt(cellY, cellX);
@@ -1851,6 +2395,7 @@ class BlinkBloomGame {
                 <div>Region: ${region}</div>
                 <div>Coordinates: (${gaze.x.toFixed(3)}, ${gaze.y.toFixed(3)})</div>
                 <div>Interactions: ${this.gazeInteractions}</div>
+                <div>Fixations: ${this.eyeMovementClassifier.fixations.length}${this.eyeMovementClassifier.getCurrentFixation() ? ' (fixating)' : ''}</div>
                 <div id="gaze-debug" style="font-size: 12px; margin-top: 5px; font-family: monospace;">
                     History: ${this.gazeDetector.gazeHistory ? this.gazeDetector.gazeHistory.length : 0} points
                 </div>
@@ -1880,7 +2425,10 @@ class BlinkBloomGame {
         if (!this.headDirectionStats) {
             this.headDirectionStats = {
                 changes: 0,
-                directions: { north: 0, south: 0, east: 0, west: 0, center: 0 }
+                directions: {
+                    north: 0, south: 0, east: 0, west: 0,
+                    northeast: 0, northwest: 0, southeast: 0, southwest: 0, center: 0
+                }
             };
         }
         
@@ -1893,7 +2441,8 @@ class BlinkBloomGame {
         const headDirectionInfo = document.getElementById('head-direction-info');
         if (headDirectionInfo) {
             const directionEmoji = {
-                north: '⬆️', south: '⬇️', east: '➡️', west: '⬅️', center: '🎯'
+                north: '⬆️', south: '⬇️', east: '➡️', west: '⬅️', center: '🎯',
+                northeast: '↗️', northwest: '↖️', southeast: '↘️', southwest: '↙️'
             };
             
             headDirectionInfo.innerHTML = `
@@ -1917,7 +2466,7 @@ class BlinkBloomGame {
         });
         
         if (this.gameState === 'playing' && this.gazeEnabled) {
-            this.garden.windSystem.active = true;
+            // Garden.startWindSystem sets active itself and skips scheduling if it's already set
             this.garden.startWindSystem();
             console.log('🌪️ Wind system activated for neck exercise gameplay');
         } else {
@@ -1929,6 +2478,148 @@ class BlinkBloomGame {
         this.garden.stopWindSystem();
         console.log('🌪️ Wind system deactivated');
     }
+    
+    initializeGazeDwell() {
+        const enabledCheckbox = document.getElementById('gaze-dwell-enabled');
+        const durationSelect = document.getElementById('gaze-dwell-duration');
+        
+        let settings = { enabled: false, duration: 1000 };
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.gazeDwellStorageKey));
+            if (saved) settings = { ...settings, ...saved };
+        } catch (error) {
+            console.warn('Could not load gaze select settings:', error);
+        }
+        
+        this.gazeCursor.setDwellEnabled(settings.enabled);
+        this.gazeCursor.setDwellDuration(settings.duration);
+        
+        if (enabledCheckbox) {
+            enabledCheckbox.checked = settings.enabled;
+            enabledCheckbox.addEventListener('change', (e) => {
+                this.gazeCursor.setDwellEnabled(e.target.checked);
+                this.saveGazeDwell();
+                this.startGazeForDwell();
+            });
+        }
+        if (durationSelect) {
+            durationSelect.value = String(settings.duration);
+            durationSelect.addEventListener('change', (e) => {
+                this.gazeCursor.setDwellDuration(parseInt(e.target.value, 10));
+                this.saveGazeDwell();
+            });
+        }
+    }
+    
+    saveGazeDwell() {
+        const dwell = this.gazeCursor.dwell;
+        try {
+            localStorage.setItem(this.gazeDwellStorageKey, JSON.stringify({ enabled: dwell.enabled, duration: dwell.duration }));
+        } catch (error) {
+            console.warn('Could not save gaze select settings:', error);
+        }
+    }
+    
+    startGazeForDwell() {
+        // Starts the camera and gaze tracking from wherever the player is
+        if (!this.gazeCursor.dwell.enabled || this.gazeEnabled) return;
+        
+        this.toggleGazeDetection().catch(error => {
+            console.error('❌ Could not start gaze tracking for gaze select:', error);
+            this.updateGazeStatus('Failed to initialize gaze detection');
+        });
+    }
+    
+    updateDwellCursor(gaze, details) {
+        // Also runs while playing so the header Pause and Menu buttons can be selected
+        if (!this.gazeCursor.dwell.enabled ||
+            this.gazeDetector.calibrationData.isCalibrating || this.gazeDetector.isValidating) {
+            if (this.gazeCursor.isVisible) {
+                this.gazeCursor.hide();
+            }
+            return;
+        }
+        
+        const screenCoords = this.gazeDetector.gazeToScreenCoordinates(gaze);
+        this.gazeCursor.updatePosition({
+            ...gaze,
+            confidence: details.confidence || 0.5
+        }, screenCoords, details.timestamp);
+    }
+    
+    initializeNeckRoutines() {
+        const routineSelect = document.getElementById('neck-routine');
+        const routines = window.neckRoutines || {};
+        
+        let routineId = 'random';
+        try {
+            const saved = localStorage.getItem(this.neckRoutineStorageKey);
+            if (saved && routines[saved]) routineId = saved;
+        } catch (error) {
+            console.warn('Could not load saved neck routine:', error);
+        }
+        
+        this.garden.onRoutineProgress = (progress) => this.updateRoutineProgress(progress);
+        this.garden.setRoutine(routineId);
+        
+        if (!routineSelect) return;
+        
+        routineSelect.innerHTML = '';
+        Object.keys(routines).forEach(id => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = routines[id].name;
+            option.title = routines[id].description;
+            routineSelect.appendChild(option);
+        });
+        routineSelect.value = routineId;
+        this.updateRoutineDescription(routineId);
+        
+        routineSelect.addEventListener('change', (e) => this.selectNeckRoutine(e.target.value));
+    }
+    
+    selectNeckRoutine(routineId) {
+        // Takes effect from the next wind; a routine always starts from its first step
+        const wasActive = this.garden.windSystem.active;
+        if (wasActive) this.garden.stopWindSystem();
+        
+        this.garden.setRoutine(routineId);
+        this.updateRoutineDescription(routineId);
+        
+        if (wasActive) this.garden.startWindSystem();
+        
+        try {
+            localStorage.setItem(this.neckRoutineStorageKey, routineId);
+        } catch (error) {
+            console.warn('Could not save neck routine:', error);
+        }
+    }
+    
+    updateRoutineDescription(routineId) {
+        const description = document.getElementById('neck-routine-description');
+        const routine = window.neckRoutines && window.neckRoutines[routineId];
+        if (description && routine) {
+            description.textContent = routine.description;
+        }
+    }
+    
+    updateRoutineProgress(progress) {
+        const routineElement = document.getElementById('routine-progress');
+        if (!routineElement) return;
+        
+        if (!progress) {
+            routineElement.textContent = 'Random';
+            routineElement.title = '';
+        } else if (progress.completed) {
+            routineElement.textContent = '✔ Done';
+            routineElement.title = `${progress.name} complete`;
+        } else {
+            const step = progress.step;
+            const current = step && step.rest ? ' · rest' : '';
+            routineElement.textContent = `${progress.windsDone}/${progress.totalWinds}${current}`;
+            routineElement.title = progress.name;
+        }
+    }
 
     toggleGazeCalibration() {
         if (!this.gazeEnabled || !this.gazeDetector.isInitialized) {
@@ -1945,10 +2636,105 @@ class BlinkBloomGame {
         }
     }
 
+    async recalibrateBlinks() {
+        // Without a running camera the wizard runs at the start of the next session
+        if (this.gameState !== 'playing' || !this.blinkDetector.detectionActive) {
+            this.blinkDetector.resetCalibration();
+            this.updateCameraStatus('Blink calibration will run when the next session starts');
+            return;
+        }
+        
+        this.hideSettings();
+        this.pauseGame();
+        
+        // Detection has to run for the wizard to see the eyes
+        this.blinkDetector.startDetection();
+        await this.blinkDetector.startBlinkCalibration();
+        this.blinkDetector.stopDetection();
+        
+        this.resumeGame();
+    }
+
+    async recalibrateMotion() {
+        // Without head tracking the wizard runs at the start of the next session
+        if (this.gameState !== 'playing' || !this.gazeDetector.isDetecting) {
+            this.gazeDetector.resetMotionCalibration();
+            this.updateCameraStatus('Neck calibration will run when the next session starts');
+            return;
+        }
+        
+        this.hideSettings();
+        this.pauseGame();
+        
+        // Head tracking keeps running while paused; the wind system does not
+        await this.gazeDetector.startMotionCalibration();
+        
+        this.resumeGame();
+    }
+
     // Camera Management Methods
     async initializeCameraSystem() {
         console.log('🔧 Initializing camera system...');
         await this.refreshCameras();
+        
+        if (this.cameraUtils.hasVideoFileSource()) {
+            this.updateCameraStatus(`Video file selected: ${this.cameraUtils.videoFileSource.name}`);
+        }
+    }
+    
+    initializeVideoSourceFromUrl() {
+        // ?video=<url>[&videoSpeed=1.5][&videoLoop=0] feeds a clip to the detectors instead of the webcam
+        const params = new URLSearchParams(window.location.search);
+        const videoUrl = params.get('video');
+        if (!videoUrl) return;
+        
+        const playbackRate = parseFloat(params.get('videoSpeed')) || 1;
+        const loop = params.get('videoLoop') !== '0';
+        this.cameraUtils.setVideoFileSource(videoUrl, { loop, playbackRate });
+        
+        // Reflect the URL options in the settings controls
+        const videoSpeedSelect = document.getElementById('video-speed');
+        const videoLoopCheckbox = document.getElementById('video-loop');
+        if (videoSpeedSelect) videoSpeedSelect.value = String(playbackRate);
+        if (videoLoopCheckbox) videoLoopCheckbox.checked = loop;
+    }
+    
+    async useVideoFile(file) {
+        if (!file) return;
+        
+        const videoSpeedSelect = document.getElementById('video-speed');
+        const videoLoopCheckbox = document.getElementById('video-loop');
+        this.cameraUtils.setVideoFileSource(file, {
+            loop: videoLoopCheckbox ? videoLoopCheckbox.checked : true,
+            playbackRate: videoSpeedSelect ? parseFloat(videoSpeedSelect.value) : 1
+        });
+        
+        await this.restartCameraSource(`Video file selected: ${file.name}`);
+    }
+    
+    async useWebcam() {
+        if (!this.cameraUtils.hasVideoFileSource()) return;
+        
+        this.cameraUtils.clearVideoFileSource();
+        await this.restartCameraSource('Webcam selected for next session');
+    }
+    
+    async restartCameraSource(idleStatus) {
+        // Outside a session the new source is simply used next time the camera starts
+        if (this.gameState !== 'playing' && this.gameState !== 'paused' && !this.cameraUtils.isActive()) {
+            this.updateCameraStatus(idleStatus);
+            return;
+        }
+        
+        const video = document.getElementById('camera-feed');
+        const selectedDeviceId = document.getElementById('camera-select').value || null;
+        const success = await this.cameraUtils.startCamera(video, selectedDeviceId);
+        
+        if (success) {
+            this.updateCameraStatus(`Active: ${this.cameraUtils.getCurrentDevice()?.label || 'Default camera'}`);
+        } else {
+            this.updateCameraStatus('Failed to switch camera source');
+        }
     }
 
     async refreshCameras() {
@@ -1982,7 +2768,7 @@ class BlinkBloomGame {
     toggleGazeDebug() {
         if (!this.gazeDebugPanel) {
             // Initialize debug panel if not already created
-            this.gazeDebugPanel = new GazeDebugPanel(this.gazeDetector);
+            this.gazeDebugPanel = new GazeDebugPanel(this.gazeDetector, this.gazeCursor);
             window.gazeDebugPanel = this.gazeDebugPanel; // Global reference
         }
         
@@ -2054,6 +2840,9 @@ class BlinkBloomGame {
     }
 
     async switchCamera(deviceId) {
+        // Picking a webcam switches away from any video file source
+        this.cameraUtils.clearVideoFileSource();
+        
         if (this.gameState === 'playing') {
             console.log('🔄 Switching camera during gameplay...', deviceId);
             
@@ -2067,6 +2856,7 @@ class BlinkBloomGame {
                 if (this.gazeEnabled && this.gazeDetector.isInitialized) {
                     const gazeCanvas = document.getElementById('gaze-canvas') || this.createGazeCanvas();
                     this.gazeDetector.setupCamera(video, gazeCanvas);
+                    this.syncGazeCameraDevice();
                 }
             } else {
                 this.updateCameraStatus('Failed to switch camera');
@@ -2077,6 +2867,109 @@ class BlinkBloomGame {
         }
     }
 
+    async loadTraceFromUrl() {
+        // ?trace=<url>[&traceLoop=1][&traceSpeed=2] replays a recorded trace instead of the camera
+        const params = new URLSearchParams(window.location.search);
+        const traceUrl = params.get('trace');
+        if (!traceUrl) return;
+        
+        try {
+            const trace = await LandmarkTrace.load(traceUrl);
+            this.startTraceReplay(trace, {
+                loop: params.get('traceLoop') === '1',
+                speed: parseFloat(params.get('traceSpeed')) || 1
+            });
+        } catch (error) {
+            console.error('❌ Failed to load landmark trace:', error);
+            this.updateTraceStatus(`❌ ${error.message}`);
+        }
+    }
+    
+    async loadTraceFile(file) {
+        if (!file) return;
+        
+        try {
+            const trace = LandmarkTrace.fromJSON(await file.text());
+            this.startTraceReplay(trace, { loop: true });
+        } catch (error) {
+            console.error('❌ Failed to read landmark trace:', error);
+            this.updateTraceStatus(`❌ ${error.message}`);
+        }
+    }
+    
+    startTraceReplay(trace, options = {}) {
+        this.facePipeline.loadReplay(trace, options);
+        
+        const seconds = (trace.getDuration() / 1000).toFixed(1);
+        this.updateTraceStatus(`🎞️ Replaying ${trace.frames.length} frames (${seconds}s)${options.loop ? ', looping' : ''}`);
+        this.updateCameraStatus('Replaying landmark trace - camera not used');
+    }
+    
+    stopTraceReplay() {
+        if (!this.facePipeline.isReplaying()) return;
+        
+        // Switching back to live inference mid-session would need the camera and model loaded
+        if (this.gameState === 'playing' || this.gameState === 'paused') {
+            this.updateTraceStatus('Finish the session before returning to the camera');
+            return;
+        }
+        
+        this.facePipeline.stopReplay();
+        
+        // Detectors set up against the trace must load the live landmarker on the next start
+        if (!this.facePipeline.isInitialized) {
+            this.blinkDetector.isInitialized = false;
+            this.gazeDetector.isInitialized = false;
+        }
+        this.updateTraceStatus('Using live camera');
+        this.updateCameraStatus('Camera not initialized');
+    }
+    
+    toggleTraceRecording() {
+        const button = document.getElementById('record-trace-btn');
+        
+        if (this.traceRecorder && this.traceRecorder.isRecording) {
+            this.traceRecorder.stopRecording();
+            this.traceRecorder.download();
+            this.updateTraceStatus(`💾 Saved trace: ${this.traceRecorder.frames.length} frames (${(this.traceRecorder.getDuration() / 1000).toFixed(1)}s)`);
+            if (button) button.textContent = '⏺️ Record Trace';
+            return;
+        }
+        
+        if (!this.facePipeline.isInitialized || !this.facePipeline.video) {
+            this.updateTraceStatus('Start a session first so there are frames to record');
+            return;
+        }
+        
+        this.traceRecorder = new LandmarkTrace();
+        this.traceRecorder.startRecording(this.facePipeline, {
+            blinkThreshold: this.blinkDetector.eyeBlinkThreshold,
+            openThreshold: this.blinkDetector.eyeOpenThreshold
+        });
+        this.updateTraceStatus('⏺️ Recording landmark trace...');
+        if (button) button.textContent = '⏹️ Stop & Save Trace';
+    }
+    
+    updateTraceStatus(status) {
+        const statusElement = document.getElementById('trace-status');
+        if (statusElement) {
+            statusElement.textContent = status;
+        }
+    }
+    
+    updateModelStatus(report) {
+        const statusElement = document.getElementById('model-status');
+        if (!statusElement) return;
+        
+        // One line per report entry; it includes error messages and asset URLs, so never parse it as HTML
+        statusElement.innerHTML = '';
+        report.forEach(line => {
+            const row = document.createElement('div');
+            row.textContent = line;
+            statusElement.appendChild(row);
+        });
+    }
+    
     updateCameraStatus(status) {
         const statusElement = document.getElementById('camera-status');
         if (statusElement) {
@@ -2210,6 +3103,8 @@ class BlinkBloomGame {
         if (this.lookAwayTimer) clearTimeout(this.lookAwayTimer);
         
         this.blinkDetector.destroy();
+        this.gazeDetector.stopDetection();
+        this.facePipeline.destroy();
         this.garden.destroy();
     }
 }
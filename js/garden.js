@@ -48,13 +48,36 @@ class Garden {
             warningTimer: null,
             alignmentTimer: null,
             warningDuration: 3000,  // 3 seconds warning
-            windDuration: 5000,     // 5 seconds active wind
+            windDuration: 8000,     // 8 seconds active wind - time to move into the stretch and hold it
+            holdDuration: 3000,     // How long the stretch must be held to complete the exercise
             playerDirection: 'center',
             isAligned: false,
             alignmentBonus: 1.0,
-            windHistory: []
+            isBlowing: false,       // Warning is over and holds count
+            holdStart: null,        // When the current continuous hold began
+            longestHold: 0,         // Longest continuous hold (ms) during this wind
+            peakAngle: 0,           // Furthest movement toward the wind (degrees from neutral)
+            isCompleted: false,
+            holdTimer: null,
+            currentHold: null,      // Hold time for the current wind, when a routine step sets one
+            routine: null,          // { id, name, steps, index, completed } while a routine plays
+            stepGap: 3000,          // Pause between routine steps that aren't rests
+            windHistory: []         // { direction, wasAligned, holdTime, holdScore, angle, routine, timestamp }
         };
         
+        this.directions = {
+            north: { emoji: '⬆️', name: 'North', instruction: 'Look up' },
+            south: { emoji: '⬇️', name: 'South', instruction: 'Look down' },
+            east: { emoji: '➡️', name: 'East', instruction: 'Tilt toward your right shoulder' },
+            west: { emoji: '⬅️', name: 'West', instruction: 'Tilt toward your left shoulder' },
+            northeast: { emoji: '↗️', name: 'Northeast', instruction: 'Look up and tilt right' },
+            northwest: { emoji: '↖️', name: 'Northwest', instruction: 'Look up and tilt left' },
+            southeast: { emoji: '↘️', name: 'Southeast', instruction: 'Look down and tilt right' },
+            southwest: { emoji: '↙️', name: 'Southwest', instruction: 'Look down and tilt left' }
+        };
+        
+        this.onRoutineProgress = null; // (progress) - a routine step started, or the routine finished
+        
         this.initializeGarden();
     }
     
@@ -312,6 +335,54 @@ class Garden {
         console.log('🌧️ Rain effect triggered! Garden restored!');
     }
     
+    triggerNightDew(strength = 1) {
+        // Eyes-closed rest reward - strength (0-1) is the share of the rest the eyes stayed shut
+        strength = Math.max(0, Math.min(1, strength));
+        
+        const dewOverlay = document.createElement('div');
+        dewOverlay.className = 'night-dew-effect';
+        dewOverlay.style.setProperty('--dew-strength', strength.toFixed(2));
+        
+        const dropCount = Math.round(4 + strength * 16);
+        for (let i = 0; i < dropCount; i++) {
+            const drop = document.createElement('div');
+            drop.className = 'dew-drop';
+            drop.style.left = `${Math.random() * 100}%`;
+            drop.style.top = `${Math.random() * 100}%`;
+            drop.style.animationDelay = `${Math.random() * 1.5}s`;
+            dewOverlay.appendChild(drop);
+        }
+        this.gardenGrid.appendChild(dewOverlay);
+        
+        // Health restored in proportion; a nearly full rest also grows healthy plants
+        this.plants.forEach(plant => {
+            if (plant.stage > 0) {
+                plant.health = Math.min(100, plant.health + Math.round(40 * strength));
+                if (plant.health > 30) {
+                    plant.isWilting = false;
+                }
+                if (strength >= 0.75 && plant.stage < this.plantStages.length && plant.health > 80) {
+                    plant.stage++;
+                }
+                this.updatePlantVisual(plant);
+            }
+        });
+        
+        const seeds = Math.floor(strength * 3);
+        if (seeds > 0) {
+            this.plantSeeds(seeds);
+        }
+        
+        this.lastWaterTime = Date.now();
+        
+        setTimeout(() => {
+            dewOverlay.remove();
+        }, 3500);
+        
+        this.updateGardenHealth();
+        console.log(`🌙 Night dew triggered (strength ${strength.toFixed(2)})`);
+    }
+    
     startHealthDecay() {
         this.healthDecayInterval = setInterval(() => {
             const currentTime = Date.now();
@@ -509,6 +580,43 @@ class Garden {
         }, 1000);
     }
     
+    calmWind() {
+        // Slow blink: settle the swaying plants and give them a gentle boost
+        this.plants.forEach(plant => {
+            if (plant.stage > 0) {
+                plant.health = Math.min(100, plant.health + 5);
+                if (plant.element) {
+                    plant.element.classList.remove('sway-north', 'sway-south', 'sway-east', 'sway-west');
+                }
+            }
+        });
+        
+        this.updateGardenHealth();
+        console.log('🍃 Wind calmed by slow blink');
+    }
+    
+    clearWeeds() {
+        // Double blink: clear out wilted plants and sow fresh seeds in their place
+        let cleared = 0;
+        this.plants.forEach(plant => {
+            if (plant.stage > 0 && plant.isWilting) {
+                plant.stage = 0;
+                plant.health = 100;
+                plant.isWilting = false;
+                this.updatePlantVisual(plant);
+                cleared++;
+            }
+        });
+        
+        if (cleared > 0) {
+            this.plantSeeds(cleared);
+            this.updateGardenHealth();
+        }
+        
+        console.log(`🧹 Cleared ${cleared} wilted plant(s) with a double blink`);
+        return cleared;
+    }
+    
     reset() {
         this.stopHealthDecay();
         this.currentHealth = this.baseHealth;
@@ -548,6 +656,90 @@ class Garden {
         this.scheduleNextWind();
     }
     
+    setRoutine(routineId) {
+        // Picks a routine from window.neckRoutines; it starts over with the next session
+        const routine = window.neckRoutines && window.neckRoutines[routineId];
+        if (!routine || !routine.steps) {
+            this.windSystem.routine = null;
+            console.log('🧭 Neck routine: random winds');
+        } else {
+            this.windSystem.routine = { id: routineId, name: routine.name, steps: routine.steps, index: -1, completed: false };
+            console.log(`🧭 Neck routine: ${routine.name} (${routine.steps.length} steps)`);
+        }
+        this.reportRoutineProgress();
+    }
+    
+    restartRoutine() {
+        const routine = this.windSystem.routine;
+        if (routine) {
+            routine.index = -1;
+            routine.completed = false;
+        }
+        this.reportRoutineProgress();
+    }
+    
+    getRoutineProgress() {
+        const routine = this.windSystem.routine;
+        if (!routine) return null;
+        
+        const windSteps = routine.steps.filter(step => step.direction).length;
+        const windsDone = routine.steps.slice(0, Math.max(0, routine.index)).filter(step => step.direction).length;
+        
+        return {
+            id: routine.id,
+            name: routine.name,
+            step: routine.index >= 0 && !routine.completed ? routine.steps[routine.index] : null,
+            stepNumber: routine.index + 1,
+            totalSteps: routine.steps.length,
+            windsDone: routine.completed ? windSteps : windsDone,
+            totalWinds: windSteps,
+            completed: routine.completed
+        };
+    }
+    
+    reportRoutineProgress() {
+        if (this.onRoutineProgress) {
+            this.onRoutineProgress(this.getRoutineProgress());
+        }
+    }
+    
+    playNextRoutineStep() {
+        const wind = this.windSystem;
+        const routine = wind.routine;
+        
+        routine.index++;
+        if (routine.index >= routine.steps.length) {
+            routine.completed = true;
+            console.log(`🧭 Routine complete: ${routine.name}`);
+            this.showRoutineComplete(routine.name);
+            this.reportRoutineProgress();
+            
+            // Random winds keep the rest of the session going
+            this.scheduleNextWind();
+            return;
+        }
+        
+        const step = routine.steps[routine.index];
+        this.reportRoutineProgress();
+        
+        if (step.rest) {
+            console.log(`🧭 Routine rest: ${step.rest / 1000}s`);
+            wind.windTimer = setTimeout(() => this.playNextRoutineStep(), step.rest);
+            return;
+        }
+        
+        this.triggerDirectionalWind(step.direction, step.hold);
+    }
+    
+    showRoutineComplete(name) {
+        const successEffect = document.createElement('div');
+        successEffect.className = 'wind-success-effect';
+        successEffect.textContent = `🧭 ${name} complete!`;
+        this.gardenGrid.appendChild(successEffect);
+        
+        setTimeout(() => successEffect.remove(), 2000);
+    }
+    
     stopWindSystem() {
         this.windSystem.active = false;
         
@@ -556,17 +748,43 @@ class Garden {
         if (this.windSystem.warningTimer) clearTimeout(this.windSystem.warningTimer);
         if (this.windSystem.alignmentTimer) clearTimeout(this.windSystem.alignmentTimer);
         
+        // A routine step cut short (a wind or a rest) is played again on resume instead of skipped
+        const routine = this.windSystem.routine;
+        if (routine && !routine.completed && routine.index >= 0) {
+            const step = routine.steps[routine.index];
+            if (this.windSystem.currentDirection || (step && step.rest)) {
+                routine.index--;
+                this.reportRoutineProgress();
+            }
+        }
+        
+        // An interrupted wind isn't recorded, but must not block the next one
+        this.resetWindState();
+        
         // Remove wind UI elements
         this.removeWindEffects();
         console.log('🌪️ Wind system stopped');
     }
     
+    setWindHoldDuration(duration) {
+        this.windSystem.holdDuration = duration;
+        console.log(`🧭 Wind hold duration set to ${duration / 1000}s`);
+    }
+    
     scheduleNextWind() {
         if (!this.windSystem.active) {
             console.log('🌪️ Cannot schedule wind - system not active');
             return;
         }
         
+        const routine = this.windSystem.routine;
+        if (routine && !routine.completed) {
+            // Routines move straight on to the next step after a short gap; rests are steps of their own
+            const gap = routine.index < 0 ? 5000 : this.windSystem.stepGap;
+            this.windSystem.windTimer = setTimeout(() => this.playNextRoutineStep(), gap);
+            return;
+        }
+        
         // Shorter interval for testing - first wind in 5-10 seconds, then 15-30 seconds
         const isFirstWind = this.windSystem.windHistory.length === 0;
         const interval = isFirstWind ? 
@@ -588,7 +806,7 @@ class Garden {
         this.triggerDirectionalWind(randomDirection);
     }
     
-    triggerDirectionalWind(direction) {
+    triggerDirectionalWind(direction, hold = null) {
         if (this.windSystem.active && this.windSystem.currentDirection) {
             console.log('⚠️ Wind already active, skipping new wind');
             return;
@@ -597,24 +815,33 @@ class Garden {
         console.log(`🌪️ Triggering ${direction} wind`);
         
         this.windSystem.currentDirection = direction;
+        this.windSystem.currentHold = hold;
         this.windSystem.isAligned = false;
         this.windSystem.alignmentBonus = 1.0;
         
+        // Long holds get a longer wind, so there's still time to move into the stretch
+        const holdDuration = this.getHoldDuration();
+        const windDuration = Math.max(this.windSystem.windDuration, holdDuration + 5000);
+        
         // Phase 1: Warning (3 seconds)
         this.showWindWarning(direction);
         
         this.windSystem.warningTimer = setTimeout(() => {
-            // Phase 2: Active wind (5 seconds)
+            // Phase 2: Active wind
             this.showWindEffect(direction);
             this.startWindAlignment(direction);
             
             this.windSystem.alignmentTimer = setTimeout(() => {
                 // Phase 3: Wind ends
                 this.endWind();
-            }, this.windSystem.windDuration);
+            }, windDuration);
         }, this.windSystem.warningDuration);
     }
     
+    getHoldDuration() {
+        return this.windSystem.currentHold || this.windSystem.holdDuration;
+    }
+    
     showWindWarning(direction) {
         console.log(`⚠️ showWindWarning called for ${direction} direction`);
         
@@ -623,25 +850,17 @@ class Garden {
         warningOverlay.className = 'wind-warning';
         warningOverlay.id = 'wind-warning';
         
-        const directionEmoji = {
-            north: '⬆️',
-            south: '⬇️', 
-            east: '➡️',
-            west: '⬅️'
-        };
-        
-        const directionName = {
-            north: 'North',
-            south: 'South',
-            east: 'East', 
-            west: 'West'
-        };
+        const info = this.directions[direction];
+        const progress = this.getRoutineProgress();
+        const routineLine = progress && !progress.completed ?
+            `<div class="wind-instruction">${progress.name} · wind ${progress.windsDone + 1} of ${progress.totalWinds}</div>` : '';
         
         warningOverlay.innerHTML = `
             <div class="wind-warning-content">
-                <div class="wind-direction-arrow">${directionEmoji[direction]}</div>
-                <div class="wind-warning-text">${directionName[direction]} Wind Approaching!</div>
-                <div class="wind-instruction">Look ${direction} to help your plants</div>
+                <div class="wind-direction-arrow">${info.emoji}</div>
+                <div class="wind-warning-text">${info.name} Wind Approaching!</div>
+                <div class="wind-instruction">${info.instruction} and hold for ${(this.getHoldDuration() / 1000).toFixed(0)}s</div>
+                ${routineLine}
             </div>
         `;
         
@@ -677,6 +896,14 @@ class Garden {
         
         this.gardenGrid.appendChild(windOverlay);
         
+        // Fill-up ring showing how much of the hold is done - a sibling so the wind's pulsing opacity doesn't fade it
+        const holdRing = document.createElement('div');
+        holdRing.className = 'wind-hold-ring';
+        holdRing.id = 'wind-hold-ring';
+        holdRing.style.setProperty('--hold-progress', 0);
+        holdRing.innerHTML = `<span class="wind-hold-label" id="wind-hold-label">Hold ${(this.getHoldDuration() / 1000).toFixed(0)}s</span>`;
+        this.gardenGrid.appendChild(holdRing);
+        
         // Add swaying effect to plants
         this.addPlantSwayEffect(direction);
         
@@ -684,41 +911,115 @@ class Garden {
     }
     
     addPlantSwayEffect(direction) {
-        // Add CSS class to make plants sway in wind direction
+        // Add CSS class to make plants sway in wind direction; diagonals sway sideways
+        const parts = this.getDirectionParts(direction);
+        const swayDirection = parts[parts.length - 1];
         this.plants.forEach(plant => {
             if (plant.element && plant.stage > 0) {
-                plant.element.classList.add(`sway-${direction}`);
+                plant.element.classList.add(`sway-${swayDirection}`);
             }
         });
     }
     
     startWindAlignment(direction) {
-        // This will be called by the game when head direction changes
-        // For now, just set up the monitoring
+        // Holds only count once the wind is blowing; the game reports head direction changes
         this.windSystem.active = true;
+        this.windSystem.isBlowing = true;
+        
+        // Already facing the wind when the warning ends - start holding straight away
+        this.updatePlayerDirection(this.windSystem.playerDirection);
+        
+        this.windSystem.holdTimer = setInterval(() => this.updateWindHold(), 100);
     }
     
     updatePlayerDirection(playerDirection) {
         // Called by game when head direction changes
-        this.windSystem.playerDirection = playerDirection;
+        const wind = this.windSystem;
+        wind.playerDirection = playerDirection;
         
         // Check alignment if wind is active
-        if (this.windSystem.currentDirection) {
-            const wasAligned = this.windSystem.isAligned;
-            this.windSystem.isAligned = (playerDirection === this.windSystem.currentDirection);
-            
-            // Show alignment feedback
-            this.showAlignmentFeedback(this.windSystem.isAligned);
-            
-            // If just became aligned, start bonus effects
-            if (!wasAligned && this.windSystem.isAligned) {
-                this.startAlignmentBonus();
-                
-                // Trigger wind alignment quest callback
-                if (this.onWindAlignmentSuccess) {
-                    this.onWindAlignmentSuccess();
-                }
-            }
+        if (!wind.currentDirection || !wind.isBlowing) return;
+        
+        const wasAligned = wind.isAligned;
+        wind.isAligned = this.isFacingWind(playerDirection, wind.currentDirection);
+        
+        // Show alignment feedback
+        this.showAlignmentFeedback(wind.isAligned);
+        
+        if (!wasAligned && wind.isAligned) {
+            // Moved into the stretch - the hold starts over
+            wind.holdStart = Date.now();
+        } else if (wasAligned && !wind.isAligned) {
+            this.updateWindHold();
+            wind.holdStart = null;
+        }
+    }
+    
+    updateWindAngle(headPose) {
+        // Called by game with every head pose; keeps the furthest movement toward the wind
+        const wind = this.windSystem;
+        if (!wind.currentDirection || !wind.isBlowing) return;
+        
+        const components = {
+            north: -headPose.pitch,
+            south: headPose.pitch,
+            east: headPose.roll,
+            west: -headPose.roll
+        };
+        
+        // Diagonals combine both axes, each only counting movement the right way
+        const parts = this.getDirectionParts(wind.currentDirection);
+        const angle = parts.length === 1 ?
+            components[parts[0]] :
+            Math.hypot(Math.max(0, components[parts[0]]), Math.max(0, components[parts[1]]));
+        wind.peakAngle = Math.max(wind.peakAngle, angle);
+    }
+    
+    getDirectionParts(direction) {
+        // 'northeast' -> ['north', 'east']
+        return direction.match(/north|south|east|west/g) || [];
+    }
+    
+    isFacingWind(playerDirection, windDirection) {
+        if (playerDirection === windDirection) return true;
+        
+        // Overshooting a cardinal wind onto a diagonal still stretches toward it
+        const windParts = this.getDirectionParts(windDirection);
+        return windParts.length === 1 && this.getDirectionParts(playerDirection).includes(windParts[0]);
+    }
+    
+    updateWindHold() {
+        const wind = this.windSystem;
+        const currentHold = wind.holdStart !== null ? Date.now() - wind.holdStart : 0;
+        wind.longestHold = Math.max(wind.longestHold, currentHold);
+        
+        const progress = Math.min(1, currentHold / this.getHoldDuration());
+        this.updateHoldRing(wind.isCompleted ? 1 : progress);
+        
+        if (!wind.isCompleted && progress >= 1) {
+            this.completeWindHold();
+        }
+    }
+    
+    updateHoldRing(progress) {
+        const ring = document.getElementById('wind-hold-ring');
+        const label = document.getElementById('wind-hold-label');
+        if (!ring || !label) return;
+        
+        ring.style.setProperty('--hold-progress', progress);
+        ring.classList.toggle('complete', progress >= 1);
+        
+        const remaining = (1 - progress) * this.getHoldDuration() / 1000;
+        label.textContent = progress >= 1 ? '✔' : `Hold ${remaining.toFixed(1)}s`;
+    }
+    
+    completeWindHold() {
+        this.windSystem.isCompleted = true;
+        this.startAlignmentBonus();
+        
+        // Trigger wind alignment quest callback
+        if (this.onWindAlignmentSuccess) {
+            this.onWindAlignmentSuccess();
         }
     }
     
@@ -754,15 +1055,15 @@ class Garden {
         console.log('✨ Wind alignment bonus activated!');
     }
     
-    applyWindBonus() {
-        // Give growth bonus to all plants when aligned with wind
+    applyWindBonus(strength = 1) {
+        // Give growth bonus to all plants when aligned with wind; partial holds give a share of it
         this.plants.forEach(plant => {
             if (plant.stage > 0 && plant.stage < this.plantStages.length) {
                 // Increase health and chance of growth
-                plant.health = Math.min(100, plant.health + 20);
+                plant.health = Math.min(100, plant.health + 20 * strength);
                 
                 // Higher chance of growth progression
-                if (Math.random() < 0.4) { // 40% chance instead of normal growth chance
+                if (Math.random() < 0.4 * strength) { // 40% chance instead of normal growth chance
                     plant.stage = Math.min(this.plantStages.length, plant.stage + 1);
                 }
                 
@@ -771,31 +1072,61 @@ class Garden {
         });
         
         // Plant new seeds with bonus
-        this.plantSeeds(1);
+        if (strength >= 1) {
+            this.plantSeeds(1);
+        }
     }
     
     endWind() {
-        // Clean up wind effects
-        this.removeWindEffects();
-        
-        // Reset wind system state
-        this.windSystem.currentDirection = null;
-        this.windSystem.isAligned = false;
-        this.windSystem.alignmentBonus = 1.0;
+        const wind = this.windSystem;
+        this.updateWindHold();
+        
+        // Partial holds still count for something
+        const holdScore = wind.isCompleted ? 1 : Math.min(1, wind.longestHold / this.getHoldDuration());
+        if (!wind.isCompleted && holdScore > 0) {
+            this.applyWindBonus(holdScore * 0.5);
+            console.log(`🧭 Partial hold: ${(wind.longestHold / 1000).toFixed(1)}s of ${this.getHoldDuration() / 1000}s`);
+        }
         
-        // Record wind event for statistics
-        this.windSystem.windHistory.push({
-            direction: this.windSystem.currentDirection,
-            wasAligned: this.windSystem.isAligned,
+        // Record wind event for statistics, before the state is reset
+        wind.windHistory.push({
+            direction: wind.currentDirection,
+            routine: wind.routine && !wind.routine.completed ? wind.routine.id : null,
+            wasAligned: wind.isCompleted,
+            holdTime: Math.round(wind.longestHold),
+            holdScore,
+            angle: Math.round(Math.max(0, wind.peakAngle)),
             timestamp: Date.now()
         });
         
+        // Clean up wind effects
+        this.removeWindEffects();
+        this.resetWindState();
+        
         // Schedule next wind
         this.scheduleNextWind();
         
         console.log('🌪️ Wind ended');
     }
     
+    resetWindState() {
+        const wind = this.windSystem;
+        if (wind.holdTimer) {
+            clearInterval(wind.holdTimer);
+            wind.holdTimer = null;
+        }
+        
+        wind.currentDirection = null;
+        wind.currentHold = null;
+        wind.isAligned = false;
+        wind.alignmentBonus = 1.0;
+        wind.isBlowing = false;
+        wind.holdStart = null;
+        wind.longestHold = 0;
+        wind.peakAngle = 0;
+        wind.isCompleted = false;
+    }
+    
     removeWindEffects() {
         // Remove wind UI elements
         const windWarning = document.getElementById('wind-warning');
@@ -804,6 +1135,9 @@ class Garden {
         const windEffect = document.getElementById('wind-effect');
         if (windEffect) windEffect.remove();
         
+        const holdRing = document.getElementById('wind-hold-ring');
+        if (holdRing) holdRing.remove();
+        
         // Remove plant sway effects
         this.plants.forEach(plant => {
             if (plant.element) {
@@ -819,9 +1153,14 @@ class Garden {
         const recentWinds = this.windSystem.windHistory.slice(-10); // Last 10 wind events
         const alignedCount = recentWinds.filter(w => w.wasAligned).length;
         
+        const history = this.windSystem.windHistory;
+        const average = (key) => history.length ? history.reduce((sum, w) => sum + w[key], 0) / history.length : 0;
+        
         return {
-            totalWindEvents: this.windSystem.windHistory.length,
+            totalWindEvents: history.length,
             recentAlignmentRate: recentWinds.length ? (alignedCount / recentWinds.length) : 0,
+            averageHoldScore: average('holdScore'),
+            averageAngle: average('angle'),
             currentWindDirection: this.windSystem.currentDirection,
             isCurrentlyAligned: this.windSystem.isAligned
         };
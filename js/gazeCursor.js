@@ -9,7 +9,9 @@ class GazeCursor {
         this.trail = [];
         this.maxTrailLength = 8;
         this.isVisible = false;
-        this.smoothingFactor = 0.3;
+        // One Euro filter on screen pixels: steady on fixations, quick on saccades
+        this.defaultFilterSettings = { minCutoff: 1.5, beta: 0.007, dCutoff: 1.0 };
+        this.positionFilter = new OneEuroFilter(this.defaultFilterSettings);
         this.currentPosition = { x: 0, y: 0 };
         this.targetPosition = { x: 0, y: 0 };
         this.confidence = 0;
@@ -18,6 +20,16 @@ class GazeCursor {
         this.interactionRipples = [];
         this.lastInteractionTime = 0;
         
+        // Dwell-to-select: resting the gaze on a [data-gaze-select] button fills a ring, then clicks it
+        this.dwell = {
+            enabled: false,
+            duration: 1000,      // ms of gaze on the button before it is clicked
+            target: null,        // Button currently under the gaze
+            startTime: null,
+            activated: false     // Already clicked - the gaze must leave before it can fire again
+        };
+        this.onDwellSelect = null; // (element)
+        
         this.initialize();
     }
     
@@ -49,6 +61,11 @@ class GazeCursor {
         confidenceRing.className = 'gaze-cursor-confidence';
         this.cursor.appendChild(confidenceRing);
         
+        // Dwell progress ring
+        const dwellRing = document.createElement('div');
+        dwellRing.className = 'gaze-cursor-dwell';
+        this.cursor.appendChild(dwellRing);
+        
         // Add to page
         document.body.appendChild(this.cursor);
         
@@ -186,6 +203,30 @@ class GazeCursor {
                 animation: gazeInteract 0.3s ease-out;
             }
             
+            .gaze-cursor-dwell {
+                position: absolute;
+                top: 50%;
+                left: 50%;
+                width: 40px;
+                height: 40px;
+                border-radius: 50%;
+                transform: translate(-50%, -50%);
+                background: conic-gradient(#6B8F71 calc(var(--dwell-progress, 0) * 360deg), rgba(240, 235, 216, 0.6) 0deg);
+                -webkit-mask: radial-gradient(circle, transparent 14px, #000 15px);
+                mask: radial-gradient(circle, transparent 14px, #000 15px);
+                opacity: 0;
+                transition: opacity 0.2s ease;
+            }
+            
+            .gaze-cursor.dwelling .gaze-cursor-dwell {
+                opacity: 1;
+            }
+            
+            .gaze-dwell-target {
+                outline: 3px solid #6B8F71;
+                outline-offset: 2px;
+            }
+            
             @keyframes gazeInteract {
                 0% { transform: translate(-50%, -50%) scale(1); }
                 50% { transform: translate(-50%, -50%) scale(1.5); }
@@ -195,7 +236,7 @@ class GazeCursor {
         document.head.appendChild(style);
     }
     
-    updatePosition(gazeData, screenCoordinates) {
+    updatePosition(gazeData, screenCoordinates, timestamp = performance.now()) {
         if (!gazeData || !screenCoordinates) {
             console.warn('🎯 Missing gaze data or screen coordinates:', { gazeData, screenCoordinates });
             return;
@@ -212,6 +253,11 @@ class GazeCursor {
         this.targetPosition.y = screenCoordinates.y;
         this.confidence = gazeData.confidence || 0.5;
         
+        // Filtered position is what the cursor draws and what getElementAtGaze uses
+        const filtered = this.positionFilter.filter(this.targetPosition, timestamp);
+        this.currentPosition.x = filtered.x;
+        this.currentPosition.y = filtered.y;
+        
         // Always ensure cursor is visible when receiving valid data
         if (!this.isVisible) {
             this.show();
@@ -224,6 +270,9 @@ class GazeCursor {
         // Add to trail
         this.addTrailPoint();
         
+        // Fill the dwell ring if resting on a gaze-selectable button
+        this.updateDwell(timestamp);
+        
         // Debug log for troubleshooting
         if (Math.random() < 0.01) { // Only log 1% of the time to avoid spam
             console.log('🎯 Gaze cursor update:', {
@@ -283,10 +332,6 @@ class GazeCursor {
     startAnimationLoop() {
         const animate = () => {
             if (this.isVisible) {
-                // Smooth movement using lerp
-                this.currentPosition.x += (this.targetPosition.x - this.currentPosition.x) * this.smoothingFactor;
-                this.currentPosition.y += (this.targetPosition.y - this.currentPosition.y) * this.smoothingFactor;
-                
                 // Update cursor position
                 this.cursor.style.left = this.currentPosition.x + 'px';
                 this.cursor.style.top = this.currentPosition.y + 'px';
@@ -306,6 +351,8 @@ class GazeCursor {
     hide() {
         this.isVisible = false;
         this.cursor.classList.remove('visible');
+        this.positionFilter.reset();
+        this.clearDwellTarget();
         
         // Clear trail
         this.trail.forEach(point => {
@@ -316,9 +363,81 @@ class GazeCursor {
         this.trail = [];
     }
     
-    setSmoothing(smoothing) {
-        this.smoothingFactor = Math.max(0.1, Math.min(1.0, smoothing));
-        console.log('🎯 Cursor smoothing updated:', this.smoothingFactor);
+    setFilterParameters(parameters) {
+        this.positionFilter.setParameters(parameters);
+        console.log('🎯 Cursor filter updated:', this.positionFilter.getParameters());
+    }
+    
+    getFilterSettings() {
+        return this.positionFilter.getParameters();
+    }
+    
+    resetFilterSettings() {
+        this.positionFilter.setParameters(this.defaultFilterSettings);
+    }
+    
+    setDwellEnabled(enabled) {
+        this.dwell.enabled = enabled;
+        if (!enabled) {
+            this.clearDwellTarget();
+        }
+    }
+    
+    setDwellDuration(duration) {
+        this.dwell.duration = Math.max(300, duration);
+    }
+    
+    getDwellTarget() {
+        // The gaze-selectable button under the cursor, if it can be clicked right now
+        const element = this.getElementAtGaze();
+        const target = element && element.closest('[data-gaze-select]');
+        if (!target || target.disabled || target.closest('.hidden')) return null;
+        return target;
+    }
+    
+    updateDwell(timestamp) {
+        const dwell = this.dwell;
+        if (!dwell.enabled) return;
+        
+        const target = this.getDwellTarget();
+        if (target !== dwell.target) {
+            this.clearDwellTarget();
+            if (!target) return;
+            
+            dwell.target = target;
+            dwell.startTime = timestamp;
+            target.classList.add('gaze-dwell-target');
+        }
+        if (dwell.activated) return;
+        
+        const progress = Math.min(1, (timestamp - dwell.startTime) / dwell.duration);
+        this.cursor.classList.add('dwelling');
+        this.cursor.style.setProperty('--dwell-progress', progress);
+        
+        if (progress >= 1) {
+            dwell.activated = true;
+            this.cursor.classList.remove('dwelling');
+            this.showInteraction(target);
+            console.log('👁️ Dwell select:', target.id || target.textContent.trim());
+            
+            target.click();
+            if (this.onDwellSelect) {
+                this.onDwellSelect(target);
+            }
+        }
+    }
+    
+    clearDwellTarget() {
+        const dwell = this.dwell;
+        if (dwell.target) {
+            dwell.target.classList.remove('gaze-dwell-target');
+        }
+        dwell.target = null;
+        dwell.startTime = null;
+        dwell.activated = false;
+        
+        this.cursor.classList.remove('dwelling');
+        this.cursor.style.setProperty('--dwell-progress', 0);
     }
     
     showInteraction(element = null) {
@@ -4,8 +4,9 @@
  */
 
 class GazeDebugPanel {
-    constructor(gazeDetector) {
+    constructor(gazeDetector, gazeCursor = null) {
         this.gazeDetector = gazeDetector;
+        this.gazeCursor = gazeCursor;
         this.isVisible = false;
         this.updateInterval = null;
         this.panel = null;
@@ -59,6 +60,14 @@ class GazeDebugPanel {
                             <label>Region:</label>
                             <span id="debug-region">center</span>
                         </div>
+                        <div class="debug-item">
+                            <label>Eyelids L/R:</label>
+                            <span id="debug-eyelids">—</span>
+                        </div>
+                        <div class="debug-item">
+                            <label>Blink Held:</label>
+                            <span id="debug-blink-held">0</span>
+                        </div>
                     </div>
                 </div>
                 
@@ -88,11 +97,6 @@ class GazeDebugPanel {
                 <div class="debug-section">
                     <h4>⚙️ Parameters</h4>
                     <div class="debug-controls">
-                        <div class="debug-control">
-                            <label>Smoothing Factor:</label>
-                            <input type="range" id="smoothing-slider" min="0.1" max="1" step="0.1" value="0.3">
-                            <span id="smoothing-value">0.3</span>
-                        </div>
                         <div class="debug-control">
                             <label>X Threshold:</label>
                             <input type="range" id="threshold-x-slider" min="0.005" max="0.1" step="0.005" value="0.02">
@@ -131,11 +135,6 @@ class GazeDebugPanel {
                             <span id="sensitivity-v-value">0.5</span>
                             <small>Higher = more responsive</small>
                         </div>
-                        <div class="debug-control">
-                            <label>Cursor Smoothing:</label>
-                            <input type="range" id="cursor-smoothing-slider" min="0.1" max="1" step="0.05" value="0.3">
-                            <span id="cursor-smoothing-value">0.30</span>
-                        </div>
                         <div class="debug-control">
                             <label>Min Confidence:</label>
                             <input type="range" id="confidence-threshold-slider" min="0.1" max="1" step="0.05" value="0.5">
@@ -147,6 +146,53 @@ class GazeDebugPanel {
                     </div>
                 </div>
                 
+                <div class="debug-section">
+                    <h4>🌀 Filtering (One Euro)</h4>
+                    <div class="debug-controls">
+                        <div class="debug-control">
+                            <label>Gaze Min Cutoff:</label>
+                            <input type="range" id="filter-gaze-min-cutoff-slider" min="0.1" max="5" step="0.1" value="0.8">
+                            <span id="filter-gaze-min-cutoff-value">0.80</span>
+                            <small>Lower = steadier fixations</small>
+                        </div>
+                        <div class="debug-control">
+                            <label>Gaze Beta:</label>
+                            <input type="range" id="filter-gaze-beta-slider" min="0" max="20" step="0.5" value="5">
+                            <span id="filter-gaze-beta-value">5.00</span>
+                            <small>Higher = less lag on saccades</small>
+                        </div>
+                        <div class="debug-control">
+                            <label>Head Min Cutoff:</label>
+                            <input type="range" id="filter-head-min-cutoff-slider" min="0.1" max="5" step="0.1" value="1">
+                            <span id="filter-head-min-cutoff-value">1.00</span>
+                        </div>
+                        <div class="debug-control">
+                            <label>Head Beta:</label>
+                            <input type="range" id="filter-head-beta-slider" min="0" max="0.5" step="0.01" value="0.05">
+                            <span id="filter-head-beta-value">0.05</span>
+                        </div>
+                        <div class="debug-control">
+                            <label>Cursor Min Cutoff:</label>
+                            <input type="range" id="filter-cursor-min-cutoff-slider" min="0.1" max="10" step="0.1" value="1.5">
+                            <span id="filter-cursor-min-cutoff-value">1.50</span>
+                        </div>
+                        <div class="debug-control">
+                            <label>Cursor Beta:</label>
+                            <input type="range" id="filter-cursor-beta-slider" min="0" max="0.05" step="0.001" value="0.007">
+                            <span id="filter-cursor-beta-value">0.007</span>
+                        </div>
+                        <div class="debug-control">
+                            <label>Speed Cutoff:</label>
+                            <input type="range" id="filter-d-cutoff-slider" min="0.1" max="5" step="0.1" value="1">
+                            <span id="filter-d-cutoff-value">1.00</span>
+                            <small>Applies to all three filters</small>
+                        </div>
+                    </div>
+                    <div class="debug-actions">
+                        <button class="debug-btn" onclick="gazeDebugPanel.resetFilters()">Reset Filters</button>
+                    </div>
+                </div>
+                
                 <div class="debug-section">
                     <h4>📈 History</h4>
                     <div class="debug-chart" id="gaze-history-chart">
@@ -341,18 +387,11 @@ class GazeDebugPanel {
         hideBtn?.addEventListener('click', () => this.toggle());
         
         // Parameter sliders
-        const smoothingSlider = this.panel.querySelector('#smoothing-slider');
         const thresholdXSlider = this.panel.querySelector('#threshold-x-slider');
         const thresholdYSlider = this.panel.querySelector('#threshold-y-slider');
         const scaleXSlider = this.panel.querySelector('#scale-x-slider');
         const scaleYSlider = this.panel.querySelector('#scale-y-slider');
         
-        smoothingSlider?.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            this.gazeDetector.smoothingFactor = value;
-            this.panel.querySelector('#smoothing-value').textContent = value.toFixed(1);
-        });
-        
         thresholdXSlider?.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             this.gazeDetector.gazeThresholds.x = value;
@@ -384,7 +423,6 @@ class GazeDebugPanel {
         // Sensitivity sliders
         const sensitivityHSlider = this.panel.querySelector('#sensitivity-h-slider');
         const sensitivityVSlider = this.panel.querySelector('#sensitivity-v-slider');
-        const cursorSmoothingSlider = this.panel.querySelector('#cursor-smoothing-slider');
         const confidenceThresholdSlider = this.panel.querySelector('#confidence-threshold-slider');
         
         sensitivityHSlider?.addEventListener('input', (e) => {
@@ -399,21 +437,48 @@ class GazeDebugPanel {
             this.panel.querySelector('#sensitivity-v-value').textContent = value.toFixed(2);
         });
         
-        cursorSmoothingSlider?.addEventListener('input', (e) => {
-            const value = parseFloat(e.target.value);
-            this.gazeDetector.sensitivity.smoothing = value;
-            // Also update cursor smoothing if it exists
-            if (window.gazeCursor) {
-                window.gazeCursor.setSmoothing(value);
-            }
-            this.panel.querySelector('#cursor-smoothing-value').textContent = value.toFixed(2);
-        });
-        
         confidenceThresholdSlider?.addEventListener('input', (e) => {
             const value = parseFloat(e.target.value);
             this.gazeDetector.sensitivity.confidence = value;
             this.panel.querySelector('#confidence-threshold-value').textContent = value.toFixed(2);
         });
+        
+        // Filter sliders
+        this.getFilterSliders().forEach(slider => {
+            this.panel.querySelector(`#${slider.id}-slider`)?.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                slider.apply(value);
+                this.panel.querySelector(`#${slider.id}-value`).textContent = value.toFixed(slider.digits);
+            });
+        });
+    }
+    
+    getFilterSliders() {
+        // Each slider reads its value from, and writes it to, one filter parameter
+        const detector = this.gazeDetector;
+        const cursor = this.gazeCursor;
+        const setAllSpeedCutoffs = (value) => {
+            detector.setFilterParameters('gaze', { dCutoff: value });
+            detector.setFilterParameters('headPose', { dCutoff: value });
+            if (cursor) {
+                cursor.setFilterParameters({ dCutoff: value });
+            }
+        };
+        
+        const sliders = [
+            { id: 'filter-gaze-min-cutoff', digits: 2, read: () => detector.getFilterSettings().gaze.minCutoff, apply: (value) => detector.setFilterParameters('gaze', { minCutoff: value }) },
+            { id: 'filter-gaze-beta', digits: 2, read: () => detector.getFilterSettings().gaze.beta, apply: (value) => detector.setFilterParameters('gaze', { beta: value }) },
+            { id: 'filter-head-min-cutoff', digits: 2, read: () => detector.getFilterSettings().headPose.minCutoff, apply: (value) => detector.setFilterParameters('headPose', { minCutoff: value }) },
+            { id: 'filter-head-beta', digits: 2, read: () => detector.getFilterSettings().headPose.beta, apply: (value) => detector.setFilterParameters('headPose', { beta: value }) },
+            { id: 'filter-d-cutoff', digits: 2, read: () => detector.getFilterSettings().gaze.dCutoff, apply: setAllSpeedCutoffs }
+        ];
+        if (cursor) {
+            sliders.push(
+                { id: 'filter-cursor-min-cutoff', digits: 2, read: () => cursor.getFilterSettings().minCutoff, apply: (value) => cursor.setFilterParameters({ minCutoff: value }) },
+                { id: 'filter-cursor-beta', digits: 3, read: () => cursor.getFilterSettings().beta, apply: (value) => cursor.setFilterParameters({ beta: value }) }
+            );
+        }
+        return sliders;
     }
     
     show() {
@@ -440,15 +505,9 @@ class GazeDebugPanel {
     }
     
     updateSliders() {
-        const smoothingSlider = this.panel.querySelector('#smoothing-slider');
         const thresholdXSlider = this.panel.querySelector('#threshold-x-slider');
         const thresholdYSlider = this.panel.querySelector('#threshold-y-slider');
         
-        if (smoothingSlider) {
-            smoothingSlider.value = this.gazeDetector.smoothingFactor || 0.3;
-            this.panel.querySelector('#smoothing-value').textContent = (this.gazeDetector.smoothingFactor || 0.3).toFixed(1);
-        }
-        
         if (thresholdXSlider) {
             thresholdXSlider.value = this.gazeDetector.gazeThresholds?.x || 0.02;
             this.panel.querySelector('#threshold-x-value').textContent = (this.gazeDetector.gazeThresholds?.x || 0.02).toFixed(3);
@@ -474,17 +533,21 @@ class GazeDebugPanel {
             this.panel.querySelector('#sensitivity-v-value').textContent = sensitivity.vertical.toFixed(2);
         }
         
-        const cursorSmoothingSlider = this.panel.querySelector('#cursor-smoothing-slider');
-        if (cursorSmoothingSlider) {
-            cursorSmoothingSlider.value = sensitivity.smoothing;
-            this.panel.querySelector('#cursor-smoothing-value').textContent = sensitivity.smoothing.toFixed(2);
-        }
-        
         const confidenceThresholdSlider = this.panel.querySelector('#confidence-threshold-slider');
         if (confidenceThresholdSlider) {
             confidenceThresholdSlider.value = sensitivity.confidence;
             this.panel.querySelector('#confidence-threshold-value').textContent = sensitivity.confidence.toFixed(2);
         }
+        
+        // Update filter sliders
+        this.getFilterSliders().forEach(slider => {
+            const input = this.panel.querySelector(`#${slider.id}-slider`);
+            if (input) {
+                const value = slider.read();
+                input.value = value;
+                this.panel.querySelector(`#${slider.id}-value`).textContent = value.toFixed(slider.digits);
+            }
+        });
     }
     
     startUpdating() {
@@ -514,6 +577,10 @@ class GazeDebugPanel {
         this.updateElement('#debug-screen-x', Math.round(screenCoords.x));
         this.updateElement('#debug-screen-y', Math.round(screenCoords.y));
         this.updateElement('#debug-region', debugInfo.region || 'center');
+        const eyelids = debugInfo.eyelids;
+        this.updateElement('#debug-eyelids', eyelids ?
+            `${eyelids.left.openness.toFixed(2)} / ${eyelids.right.openness.toFixed(2)}${eyelids.blinking ? ' 😑' : ''}` : '—');
+        this.updateElement('#debug-blink-held', debugInfo.blinkHeldFrames || 0);
         
         // Update calibration status
         this.updateElement('#debug-calibrated', debugInfo.screenCalibration?.isCalibrated ? 'Yes' : 'No');
@@ -635,6 +702,7 @@ class GazeDebugPanel {
             calibration: this.gazeDetector.calibrationData,
             screenCalibration: this.gazeDetector.screenCalibration,
             thresholds: this.gazeDetector.gazeThresholds,
+            filters: this.gazeDetector.getFilterSettings(),
             history: this.gazeDetector.gazeHistory?.slice(-100) || []
         };
         
@@ -662,15 +730,9 @@ class GazeDebugPanel {
             this.gazeDetector.sensitivity = {
                 horizontal: 0.5,
                 vertical: 0.5,
-                smoothing: 0.3,
                 confidence: 0.5
             };
             
-            // Update cursor smoothing
-            if (window.gazeCursor) {
-                window.gazeCursor.setSmoothing(0.3);
-            }
-            
             // Update sliders
             this.updateSliders();
             
@@ -678,6 +740,15 @@ class GazeDebugPanel {
         }
     }
     
+    resetFilters() {
+        this.gazeDetector.resetFilterSettings();
+        if (this.gazeCursor) {
+            this.gazeCursor.resetFilterSettings();
+        }
+        this.updateSliders();
+        console.log('🔄 Filters reset to defaults');
+    }
+    
     destroy() {
         this.stopUpdating();
         if (this.panel && this.panel.parentNode) {
@@ -5,17 +5,16 @@
  */
 
 class GazeDetector {
-    constructor() {
+    constructor(facePipeline = null) {
         this.isInitialized = false;
         this.isDetecting = false;
         this.video = null;
         this.canvas = null;
         this.ctx = null;
         
-        // MediaPipe Face Landmarker
+        // MediaPipe Face Landmarker, shared with the other face analyzers
+        this.facePipeline = facePipeline || new FacePipeline();
         this.faceLandmarker = null;
-        this.runningMode = "VIDEO";
-        this.lastVideoTime = -1;
         
         // 3D model points for head pose estimation (from the article)
         this.modelPoints = [
@@ -31,6 +30,35 @@ class GazeDetector {
         this.eyeBallCenterRight = [-29.05, 32.7, -39.5];
         this.eyeBallCenterLeft = [29.05, 32.7, -39.5];
         
+        // Eye opening landmarks for the geometric gaze model.
+        // 'left' is the eye on the left of the (unmirrored) image, i.e. the user's right eye.
+        this.eyeLandmarks = {
+            left: { iris: 468, cornerA: 33, cornerB: 133, upperLid: 159, lowerLid: 145, eyeBallCenter: this.eyeBallCenterRight },
+            right: { iris: 473, cornerA: 362, cornerB: 263, upperLid: 386, lowerLid: 374, eyeBallCenter: this.eyeBallCenterLeft }
+        };
+        
+        // Average adult eye dimensions (mm) used to turn iris position into a rotation
+        this.eyeModel = {
+            eyeballRadius: 12,   // Centre of rotation to iris
+            eyeWidth: 30,        // Corner to corner
+            modelUnitsPerCm: 10  // Model points above are in mm; the transformation matrix is in cm
+        };
+        this.currentMatrix = null;
+        
+        // Eyelid openness - while an eye closes its iris landmarks collapse and the gaze jumps
+        this.eyelidSettings = {
+            blinkThreshold: 0.45, // Mean eyeBlink blend shape above this = the eyes are closing
+            minOpenRatio: 0.5,    // Lid gap below this share of the user's usual gap = eye (partly) closed
+            baselineRate: 0.02,   // Per-frame rate at which the usual gap follows the user
+            reopenHold: 120       // ms to keep holding after a blink while the iris landmarks settle
+        };
+        this.eyelids = {
+            baseline: { left: null, right: null }, // Usual open-eye lid gap as a share of eye width
+            current: null,                         // Latest getEyelidState() result
+            holdUntil: 0,
+            heldFrames: 0
+        };
+        
         // Camera matrix parameters
         this.focalLength = 0;
         this.cameraCenter = [0, 0];
@@ -41,11 +69,21 @@ class GazeDetector {
         this.gazeHistory = [];
         this.maxHistoryLength = 10;
         
+        // One Euro filters for gaze and head pose (tunable in GazeDebugPanel).
+        // Beta is per unit of speed, so it differs with the units: gaze in ~tangent units, head pose in degrees.
+        this.defaultFilterSettings = {
+            gaze: { minCutoff: 0.8, beta: 5, dCutoff: 1.0 },
+            headPose: { minCutoff: 1.0, beta: 0.05, dCutoff: 1.0 }
+        };
+        this.filters = {
+            gaze: new OneEuroFilter(this.defaultFilterSettings.gaze),
+            headPose: new OneEuroFilter(this.defaultFilterSettings.headPose)
+        };
+        
         // Sensitivity settings (user-adjustable)
         this.sensitivity = {
             horizontal: 0.5,   // How sensitive horizontal gaze movement is (higher = more responsive)
             vertical: 0.5,     // How sensitive vertical gaze movement is (higher = more responsive)
-            smoothing: 0.3,    // Smoothing factor (0 = no smoothing, 1 = max smoothing)
             confidence: 0.5    // Minimum confidence threshold for gaze detection
         };
         
@@ -62,16 +100,79 @@ class GazeDetector {
         };
         this.adaptiveThresholds = true;
         
+        // Screen calibration: a 9- or 13-point grid fitted with a second-order polynomial,
+        // then checked against fresh points the fit never saw
+        this.calibrationSettings = {
+            pointCount: 9,
+            validationPoints: [
+                { name: 'v1', x: 0.3, y: 0.2, label: 'Upper Left' },
+                { name: 'v2', x: 0.7, y: 0.2, label: 'Upper Right' },
+                { name: 'v3', x: 0.5, y: 0.6, label: 'Middle' },
+                { name: 'v4', x: 0.2, y: 0.75, label: 'Lower Left' },
+                { name: 'v5', x: 0.8, y: 0.75, label: 'Lower Right' }
+            ],
+            validationSettle: 500,   // ms after the click before samples count
+            validationSamples: 20,   // Taken every 50ms
+            poorAccuracyPx: 150      // Average error above this offers recalibration
+        };
+        this.validationResults = null;
+        this.isValidating = false;
+        this.calibrationBeforeRun = null; // Previous calibration until a new run is accepted (see startCalibration)
+        
+        // Saved calibrations, one per camera + screen (see saveCalibrationProfile)
+        this.calibrationProfilesStorageKey = 'blinkBloom.gazeCalibrations';
+        this.calibrationProfiles = [];
+        this.activeProfileId = null;
+        this.calibrationStale = false;
+        this.cameraDevice = { deviceId: null, label: null };
+        this.onCalibrationProfilesChange = null; // (profiles) - list changed or staleness flipped
+        
         // Debug and visualization
         this.debugMode = true;
         this.showGazeLine = true;
         
         // Callbacks
         this.onGazeDetected = null;
-        this.onHeadPoseChanged = null;
+        this.onHeadPoseChanged = null;      // (headPose) - yaw/pitch/roll in degrees, every frame
         this.onHeadDirectionChanged = null; // New callback for wind direction gameplay
         this.onError = null;
         
+        // Head pose in degrees from the landmarker's facial transformation matrix.
+        // Angles are relative to the neutral pose, which is sampled from the first
+        // frames after detection starts unless calibrateNeutralPose() is called.
+        this.headPose = {
+            neutral: null,          // { yaw, pitch, roll } absolute degrees
+            neutralSamples: [],
+            neutralSampleCount: 30,
+            onNeutralCaptured: null,
+            current: null
+        };
+        // Degrees from neutral that count as facing each wind direction.
+        // Replaced by a fraction of the user's own range after motion calibration.
+        this.windThresholds = {
+            north: 10, // Look up (pitch)
+            south: 10, // Look down (pitch)
+            east: 12,  // Tilt toward right shoulder (roll)
+            west: 12   // Tilt toward left shoulder (roll)
+        };
+        
+        // Neutral-pose and range-of-motion calibration (see startMotionCalibration)
+        this.motionCalibrationStorageKey = 'blinkBloom.motionCalibration';
+        this.motionCalibration = {
+            isCalibrating: false,
+            isCalibrated: false,
+            phase: null,              // 'neutral' | 'north' | 'south' | 'east' | 'west'
+            neutralDuration: 3000,    // ms sitting comfortably
+            directionDuration: 4000,  // ms to move and hold each direction
+            thresholdFraction: 0.5,   // Wind thresholds sit at this share of the measured range
+            minRange: 4,              // Degrees - less means the movement wasn't picked up
+            samples: [],
+            range: {},
+            profile: null,
+            history: []               // { calibratedAt, range } of every calibration, for mobility tracking
+        };
+        this.onMotionCalibrationComplete = null;
+        
         // Head direction tracking for wind gameplay
         this.currentHeadDirection = 'center';
         this.headDirectionHistory = [];
@@ -94,32 +195,22 @@ class GazeDetector {
         
         // Initialize screen calibration
         this.initializeScreenCalibration();
+        
+        // Restore a previously measured neck range for this browser
+        this.loadMotionCalibration();
+        
+        // Saved gaze calibrations are applied once the camera is known (setCameraDevice)
+        this.loadCalibrationProfiles();
+        window.addEventListener('resize', () => this.checkCalibrationStale());
     }
     
     async initialize() {
         try {
             console.log('Initializing GazeDetector with MediaPipe...');
             
-            // Import MediaPipe vision tasks
-            const vision = await import('https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3');
-            const { FaceLandmarker, FilesetResolver } = vision;
-            
-            // Create the FilesetResolver
-            const filesetResolver = await FilesetResolver.forVisionTasks(
-                'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3/wasm'
-            );
-            
-            // Create FaceLandmarker with iris landmarks for better gaze detection
-            this.faceLandmarker = await FaceLandmarker.createFromOptions(filesetResolver, {
-                baseOptions: {
-                    modelAssetPath: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task',
-                    delegate: 'GPU'
-                },
-                outputFaceBlendshapes: false,
-                outputFacialTransformationMatrixes: true,
-                runningMode: this.runningMode,
-                numFaces: 1
-            });
+            // The pipeline loads MediaPipe once for every detector that shares it
+            await this.facePipeline.initialize();
+            this.faceLandmarker = this.facePipeline.faceLandmarker;
             
             this.isInitialized = true;
             console.log('GazeDetector initialized successfully');
@@ -213,12 +304,19 @@ class GazeDetector {
         }
         
         this.isDetecting = true;
-        this.detectGaze();
+        this.resetFilters();
+        this.facePipeline.attach('gaze', this, this.video);
         return true;
     }
     
+    replayTrace(trace, options = {}) {
+        // Feed a recorded LandmarkTrace through the shared pipeline instead of the camera
+        this.facePipeline.loadReplay(trace, options);
+    }
+    
     stopDetection() {
         this.isDetecting = false;
+        this.facePipeline.detach('gaze');
         
         // Clear the canvas when stopping
         if (this.ctx) {
@@ -227,53 +325,58 @@ class GazeDetector {
         }
     }
     
-    async detectGaze() {
+    processFrame(results, timestamp, frameTime = Date.now()) {
+        // Called by FacePipeline for every new camera (or replayed trace) frame while attached
         if (!this.isDetecting) return;
         
-        try {
-            const videoTime = performance.now();
-            
-            // Only process if we have a new frame
-            if (videoTime !== this.lastVideoTime) {
-                this.lastVideoTime = videoTime;
-                
-                // Detect face landmarks
-                const results = this.faceLandmarker.detectForVideo(this.video, videoTime);
-                
-                if (results.faceLandmarks && results.faceLandmarks.length > 0) {
-                    const landmarks = results.faceLandmarks[0];
-                    await this.processGaze(landmarks);
-                }
-                
-                // Draw debug information if enabled
-                if (this.debugMode) {
-                    this.drawDebugInfo(results);
-                }
-            }
-            
-        } catch (error) {
-            console.error('Error during gaze detection:', error);
+        if (results.faceLandmarks && results.faceLandmarks.length > 0) {
+            const landmarks = results.faceLandmarks[0];
+            const matrix = results.facialTransformationMatrixes && results.facialTransformationMatrixes[0];
+            const blendShapes = results.faceBlendshapes && results.faceBlendshapes[0];
+            // Filters run on frame time so a replayed trace filters the same at any speed
+            this.processGaze(landmarks, matrix, frameTime, blendShapes);
         }
         
-        // Continue detection
-        if (this.isDetecting) {
-            requestAnimationFrame(() => this.detectGaze());
+        // Draw debug information if enabled
+        if (this.debugMode) {
+            this.drawDebugInfo(results);
         }
     }
     
-    async processGaze(landmarks) {
+    processGaze(landmarks, matrix = null, frameTime = Date.now(), blendShapes = null) {
         try {
             // Store current landmarks for use in calculations
             this.currentLandmarks = landmarks;
+            this.currentMatrix = matrix;
             
             // Convert normalized landmarks to pixel coordinates
             const imagePoints = this.getImagePoints(landmarks);
             
-            // Estimate head pose using PnP-like approach (simplified for web)
-            const headPose = this.estimateHeadPose(imagePoints);
+            // Head rotation from the transformation matrix, relative to the neutral pose
+            const headPose = this.estimateHeadPose(matrix, imagePoints, frameTime);
             
-            // Track head direction for wind gameplay
-            this.updateHeadDirection(headPose.direction);
+            if (this.motionCalibration.isCalibrating && headPose.absolute) {
+                this.addMotionCalibrationSample(headPose);
+            } else if (headPose.direction) {
+                // Track head direction for wind gameplay
+                this.updateHeadDirection(headPose.direction);
+                
+                if (this.onHeadPoseChanged) {
+                    this.onHeadPoseChanged(headPose);
+                }
+            }
+            
+            // Hold the last gaze through blinks and until the iris landmarks settle again
+            // (a looping trace can jump back in time, so a stale hold is ignored)
+            const eyelids = this.getEyelidState(landmarks, blendShapes);
+            if (eyelids.blinking) {
+                this.eyelids.holdUntil = frameTime + this.eyelidSettings.reopenHold;
+            }
+            const holdLeft = this.eyelids.holdUntil - frameTime;
+            if (holdLeft > 0 && holdLeft <= this.eyelidSettings.reopenHold) {
+                this.eyelids.heldFrames++;
+                return;
+            }
             
             // Get pupil positions (using iris landmarks if available)
             const leftPupil = this.getPupilPosition(landmarks, 'left');
@@ -284,17 +387,24 @@ class GazeDetector {
                 const leftGaze = this.calculateGazeDirection(leftPupil, 'left', headPose);
                 const rightGaze = this.calculateGazeDirection(rightPupil, 'right', headPose);
                 
-                // Average the gaze directions
+                // A partly closed eye counts for less, and one that is shut is left out
+                leftGaze.confidence *= eyelids.left.openness;
+                rightGaze.confidence *= eyelids.right.openness;
+                const openGazes = [];
+                if (eyelids.left.isOpen) openGazes.push(leftGaze);
+                if (eyelids.right.isOpen) openGazes.push(rightGaze);
+                
+                // Average the gaze directions of the open eyes
                 const averageGaze = {
-                    x: (leftGaze.x + rightGaze.x) / 2,
-                    y: (leftGaze.y + rightGaze.y) / 2
+                    x: openGazes.reduce((sum, gaze) => sum + gaze.x, 0) / openGazes.length,
+                    y: openGazes.reduce((sum, gaze) => sum + gaze.y, 0) / openGazes.length
                 };
                 
                 // Update gaze history for smoothing
                 this.updateGazeHistory(averageGaze);
                 
                 // Get smoothed gaze
-                const smoothedGaze = this.getSmoothedGaze();
+                const smoothedGaze = this.getSmoothedGaze(frameTime);
                 this.currentGaze = smoothedGaze;
                 
                 // Add to calibration if calibrating
@@ -306,7 +416,9 @@ class GazeDetector {
                         leftGaze,
                         rightGaze,
                         headPose,
-                        confidence: this.calculateGazeConfidence(leftPupil, rightPupil),
+                        confidence: this.calculateGazeConfidence(leftPupil, rightPupil, eyelids),
+                        eyelids,
+                        timestamp: frameTime,
                         debugInfo: this.getDebugInfo()
                     });
                 }
@@ -339,57 +451,385 @@ class GazeDetector {
         return imagePoints;
     }
     
-    estimateHeadPose(imagePoints) {
-        // Enhanced head pose estimation for wind direction gameplay
+    estimateHeadPose(matrix, imagePoints, frameTime = Date.now()) {
+        // Nose offset from the frame centre still feeds the gaze head-movement compensation
         const noseTip = imagePoints[0];
-        const chin = imagePoints[1];
-        const leftEyeCorner = imagePoints[2];
-        const rightEyeCorner = imagePoints[3];
-        const leftMouthCorner = imagePoints[4];
-        const rightMouthCorner = imagePoints[5];
-        
-        // Calculate head tilt for cardinal directions
-        const faceWidth = Math.abs(rightEyeCorner[0] - leftEyeCorner[0]);
-        const faceHeight = Math.abs(noseTip[1] - chin[1]);
-        
-        // Horizontal tilt (east/west) - based on eye level asymmetry
-        const eyeLevelDiff = (rightEyeCorner[1] - leftEyeCorner[1]) / faceWidth;
-        
-        // Vertical tilt (north/south) - based on nose-chin distance and head position
-        const headVerticalPosition = (noseTip[1] - this.cameraCenter[1]) / this.canvas.height;
-        
-        // Calculate basic head orientation
-        const headVector = [
-            noseTip[0] - chin[0],
-            noseTip[1] - chin[1]
-        ];
-        const angle = Math.atan2(headVector[1], headVector[0]);
+        const translation = [noseTip[0] - this.cameraCenter[0], noseTip[1] - this.cameraCenter[1]];
+        
+        if (!matrix) {
+            return { yaw: 0, pitch: 0, roll: 0, absolute: null, translation, direction: null };
+        }
+        
+        // Filtered before anything reads it: neutral sampling, motion calibration and wind directions
+        const absolute = this.filters.headPose.filter(this.matrixToEulerAngles(matrix.data), frameTime);
+        const neutral = this.updateNeutralPose(absolute);
+        if (!neutral) {
+            return { yaw: 0, pitch: 0, roll: 0, absolute, translation, direction: null };
+        }
+        
+        const headPose = {
+            yaw: absolute.yaw - neutral.yaw,       // Positive = turned to the user's right
+            pitch: absolute.pitch - neutral.pitch, // Positive = looking down (south)
+            roll: absolute.roll - neutral.roll,    // Positive = tilted toward the right shoulder (east)
+            absolute,
+            translation
+        };
+        headPose.direction = this.calculateWindDirection(headPose);
+        
+        this.headPose.current = headPose;
+        return headPose;
+    }
+    
+    matrixToEulerAngles(data) {
+        // MediaPipe matrices are column-major 4x4; r(row, col) reads the rotation part
+        const r = (row, col) => data[col * 4 + row];
+        const toDegrees = 180 / Math.PI;
         
+        // Y-X-Z (yaw, pitch, roll) decomposition of the face-to-camera rotation
+        const pitch = Math.asin(Math.max(-1, Math.min(1, -r(1, 2))));
+        const yaw = Math.atan2(r(0, 2), r(2, 2));
+        const roll = Math.atan2(r(1, 0), r(1, 1));
+        
+        // The camera image isn't mirrored, so the user's right is the face model's -x
         return {
-            pitch: headVerticalPosition, // Negative = looking up (north), Positive = looking down (south)
-            yaw: angle,
-            roll: eyeLevelDiff, // Negative = tilted left (west), Positive = tilted right (east)
-            translation: [noseTip[0] - this.cameraCenter[0], noseTip[1] - this.cameraCenter[1]],
-            // Wind direction detection
-            direction: this.calculateWindDirection(eyeLevelDiff, headVerticalPosition)
+            yaw: -yaw * toDegrees,
+            pitch: pitch * toDegrees,
+            roll: roll * toDegrees
         };
     }
     
-    calculateWindDirection(rollTilt, pitchTilt) {
-        // Thresholds for direction detection (adjust based on testing)
-        const rollThreshold = 0.015; // Sensitivity for left/right head tilt
-        const pitchThreshold = 0.1;   // Sensitivity for up/down head position
+    updateNeutralPose(absolute) {
+        const pose = this.headPose;
+        if (pose.neutral) return pose.neutral;
+        
+        pose.neutralSamples.push(absolute);
+        if (pose.neutralSamples.length < pose.neutralSampleCount) return null;
+        
+        const average = (key) => pose.neutralSamples.reduce((sum, sample) => sum + sample[key], 0) / pose.neutralSamples.length;
+        pose.neutral = { yaw: average('yaw'), pitch: average('pitch'), roll: average('roll') };
+        pose.neutralSamples = [];
+        console.log(`🧭 Neutral head pose captured: yaw ${pose.neutral.yaw.toFixed(1)}°, pitch ${pose.neutral.pitch.toFixed(1)}°, roll ${pose.neutral.roll.toFixed(1)}°`);
+        
+        if (pose.onNeutralCaptured) {
+            const callback = pose.onNeutralCaptured;
+            pose.onNeutralCaptured = null;
+            callback(pose.neutral);
+        }
+        return pose.neutral;
+    }
+    
+    calibrateNeutralPose() {
+        // Re-sample the neutral pose from the next frames; resolves with it
+        return new Promise(resolve => {
+            this.headPose.neutral = null;
+            this.headPose.neutralSamples = [];
+            this.headPose.onNeutralCaptured = resolve;
+            this.currentHeadDirection = 'center';
+            this.headDirectionHistory = [];
+        });
+    }
+    
+    calculateWindDirection(headPose) {
+        const { roll, pitch } = headPose;
+        const thresholds = this.windThresholds;
+        
+        // How far along each axis the head is, as a share of that direction's threshold
+        const rollDirection = roll >= 0 ? 'east' : 'west';
+        const pitchDirection = pitch < 0 ? 'north' : 'south'; // Negative = looking up
+        const rollRatio = Math.abs(roll) / thresholds[rollDirection];
+        const pitchRatio = Math.abs(pitch) / thresholds[pitchDirection];
+        
+        if (Math.max(rollRatio, pitchRatio) <= 1) return 'center'; // Neutral position
+        
+        // Past both thresholds is a diagonal, e.g. 'northeast'
+        if (rollRatio > 1 && pitchRatio > 1) return pitchDirection + rollDirection;
         
         // Prioritize the more pronounced movement
-        if (Math.abs(rollTilt) > Math.abs(pitchTilt)) {
-            if (rollTilt > rollThreshold) return 'east';
-            if (rollTilt < -rollThreshold) return 'west';
-        } else {
-            if (pitchTilt < -pitchThreshold) return 'north'; // Looking up
-            if (pitchTilt > pitchThreshold) return 'south';  // Looking down
+        return rollRatio > pitchRatio ? rollDirection : pitchDirection;
+    }
+    
+    needsMotionCalibration() {
+        return !this.motionCalibration.isCalibrated;
+    }
+    
+    // Samples the neutral pose, then asks for a comfortable movement in each wind
+    // direction and sets thresholds at a fraction of the measured range.
+    // Gaze detection must already be running. Resolves with the profile, or null.
+    startMotionCalibration() {
+        if (this.motionCalibration.isCalibrating) {
+            return this.motionCalibrationPromise;
+        }
+        
+        console.log('🧭 Starting neck range-of-motion calibration...');
+        this.motionCalibration.isCalibrating = true;
+        this.motionCalibration.range = {};
+        
+        this.motionCalibrationPromise = new Promise((resolve) => {
+            this.resolveMotionCalibration = resolve;
+        });
+        
+        this.showMotionCalibrationWizard();
+        this.runMotionPhase(0);
+        
+        return this.motionCalibrationPromise;
+    }
+    
+    runMotionPhase(index) {
+        const phases = ['neutral', 'north', 'south', 'east', 'west'];
+        const prompts = {
+            neutral: { icon: '🙂', text: 'Sit comfortably and look at the screen' },
+            north: { icon: '⬆️', text: 'Slowly look up as far as is comfortable' },
+            south: { icon: '⬇️', text: 'Slowly look down as far as is comfortable' },
+            east: { icon: '➡️', text: 'Tilt your head toward your right shoulder' },
+            west: { icon: '⬅️', text: 'Tilt your head toward your left shoulder' }
+        };
+        
+        const calibration = this.motionCalibration;
+        const phase = phases[index];
+        calibration.phase = phase;
+        calibration.samples = [];
+        
+        const duration = phase === 'neutral' ? calibration.neutralDuration : calibration.directionDuration;
+        const startTime = Date.now();
+        
+        this.updateMotionCalibrationWizard(`
+            <h3>🧭 Neck Calibration</h3>
+            <p>Step ${index + 1} of ${phases.length}</p>
+            <p><strong>${prompts[phase].text}</strong></p>
+            <p>${phase === 'neutral' ? 'This is your centre position.' : 'Hold it there, then come back to centre. No straining!'}</p>
+            <div class="blink-calibration-target">${prompts[phase].icon}</div>
+            <p id="motion-calibration-angle" class="blink-calibration-count"></p>
+            <p id="motion-calibration-progress">${Math.ceil(duration / 1000)}s</p>
+        `);
+        
+        this.motionCalibrationTimer = setInterval(() => {
+            const remaining = duration - (Date.now() - startTime);
+            const progress = document.getElementById('motion-calibration-progress');
+            if (progress) {
+                progress.textContent = `${Math.max(0, Math.ceil(remaining / 1000))}s`;
+            }
+            
+            if (remaining > 0) return;
+            
+            clearInterval(this.motionCalibrationTimer);
+            this.motionCalibrationTimer = null;
+            
+            if (!this.completeMotionPhase(phase)) return;
+            
+            if (index + 1 < phases.length) {
+                this.runMotionPhase(index + 1);
+            } else {
+                this.completeMotionCalibration();
+            }
+        }, 100);
+    }
+    
+    addMotionCalibrationSample(headPose) {
+        const calibration = this.motionCalibration;
+        
+        if (calibration.phase === 'neutral') {
+            calibration.samples.push(headPose.absolute);
+            return;
+        }
+        
+        // Signed so movement in the asked-for direction is positive
+        const value = {
+            north: -headPose.pitch,
+            south: headPose.pitch,
+            east: headPose.roll,
+            west: -headPose.roll
+        }[calibration.phase];
+        calibration.samples.push(value);
+        
+        const angle = document.getElementById('motion-calibration-angle');
+        if (angle) {
+            angle.textContent = `${Math.max(0, value).toFixed(0)}°`;
+        }
+    }
+    
+    completeMotionPhase(phase) {
+        const calibration = this.motionCalibration;
+        
+        if (calibration.samples.length < 10) {
+            this.finishMotionCalibration(null, '⚠️ No face detected - make sure your face is visible and try again.');
+            return false;
         }
         
-        return 'center'; // Neutral position
+        if (phase === 'neutral') {
+            const average = (key) => calibration.samples.reduce((sum, sample) => sum + sample[key], 0) / calibration.samples.length;
+            this.headPose.neutral = { yaw: average('yaw'), pitch: average('pitch'), roll: average('roll') };
+            this.headPose.neutralSamples = [];
+            return true;
+        }
+        
+        // 90th percentile rather than the peak, so one jerky frame doesn't set the range
+        const sorted = calibration.samples.slice().sort((a, b) => a - b);
+        const range = sorted[Math.floor(sorted.length * 0.9)];
+        
+        if (range < calibration.minRange) {
+            this.finishMotionCalibration(null, `⚠️ Couldn't measure your ${phase} movement - keeping the current wind thresholds.`);
+            return false;
+        }
+        
+        calibration.range[phase] = range;
+        return true;
+    }
+    
+    completeMotionCalibration() {
+        const calibration = this.motionCalibration;
+        const range = { ...calibration.range };
+        
+        const thresholds = {};
+        Object.keys(range).forEach(direction => {
+            thresholds[direction] = range[direction] * calibration.thresholdFraction;
+        });
+        
+        const profile = {
+            neutral: this.headPose.neutral,
+            range,
+            thresholds,
+            thresholdFraction: calibration.thresholdFraction,
+            calibratedAt: Date.now()
+        };
+        
+        // Compare total movement against the previous calibration to show mobility gains
+        const previous = calibration.history[calibration.history.length - 1];
+        const total = (r) => r.north + r.south + r.east + r.west;
+        const change = previous ? total(range) - total(previous.range) : null;
+        
+        calibration.history.push({ calibratedAt: profile.calibratedAt, range });
+        this.applyMotionProfile(profile);
+        this.saveMotionCalibration();
+        
+        const changeText = change !== null ? ` (${change >= 0 ? '+' : ''}${change.toFixed(0)}° total since last time)` : '';
+        this.finishMotionCalibration(profile, `✅ Neck calibration complete! Up ${range.north.toFixed(0)}°, down ${range.south.toFixed(0)}°, right ${range.east.toFixed(0)}°, left ${range.west.toFixed(0)}°${changeText}.`);
+    }
+    
+    applyMotionProfile(profile) {
+        this.motionCalibration.profile = profile;
+        this.motionCalibration.isCalibrated = true;
+        this.windThresholds = { ...profile.thresholds };
+    }
+    
+    cancelMotionCalibration() {
+        console.log('❌ Neck calibration cancelled by user');
+        this.finishMotionCalibration(null, '❌ Neck calibration cancelled - using current wind thresholds.');
+    }
+    
+    finishMotionCalibration(profile, message) {
+        if (this.motionCalibrationTimer) {
+            clearInterval(this.motionCalibrationTimer);
+            this.motionCalibrationTimer = null;
+        }
+        
+        this.motionCalibration.isCalibrating = false;
+        this.motionCalibration.phase = null;
+        this.motionCalibration.samples = [];
+        
+        // Start direction tracking from a clean state
+        this.currentHeadDirection = 'center';
+        this.headDirectionHistory = [];
+        
+        this.removeMotionCalibrationWizard();
+        this.showMotionCalibrationMessage(message);
+        console.log('🧭 Neck calibration finished:', profile || 'no profile');
+        
+        if (profile && this.onMotionCalibrationComplete) {
+            this.onMotionCalibrationComplete(profile);
+        }
+        
+        if (this.resolveMotionCalibration) {
+            this.resolveMotionCalibration(profile);
+            this.resolveMotionCalibration = null;
+        }
+    }
+    
+    resetMotionCalibration() {
+        // Thresholds go back to the defaults; the mobility history is kept
+        this.motionCalibration.isCalibrated = false;
+        this.motionCalibration.profile = null;
+        this.windThresholds = { north: 10, south: 10, east: 12, west: 12 };
+        this.saveMotionCalibration();
+    }
+    
+    getMobilityHistory() {
+        return this.motionCalibration.history.slice();
+    }
+    
+    saveMotionCalibration() {
+        try {
+            localStorage.setItem(this.motionCalibrationStorageKey, JSON.stringify({
+                profile: this.motionCalibration.profile,
+                history: this.motionCalibration.history
+            }));
+        } catch (error) {
+            console.warn('Could not save neck calibration:', error);
+        }
+    }
+    
+    loadMotionCalibration() {
+        try {
+            const saved = localStorage.getItem(this.motionCalibrationStorageKey);
+            if (!saved) return;
+            
+            const data = JSON.parse(saved);
+            this.motionCalibration.history = Array.isArray(data.history) ? data.history : [];
+            
+            const profile = data.profile;
+            if (profile && profile.thresholds && ['north', 'south', 'east', 'west'].every(d => isFinite(profile.thresholds[d]))) {
+                this.applyMotionProfile(profile);
+                console.log('🧭 Restored saved neck calibration:', profile);
+            }
+        } catch (error) {
+            console.warn('Could not load saved neck calibration:', error);
+        }
+    }
+    
+    showMotionCalibrationWizard() {
+        // Same look as the blink calibration wizard
+        const overlay = document.createElement('div');
+        overlay.id = 'motion-calibration-overlay';
+        overlay.className = 'blink-calibration-overlay';
+        overlay.innerHTML = '<div id="motion-calibration-instructions" class="blink-calibration-panel"></div>';
+        
+        const escListener = (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.cancelMotionCalibration();
+            }
+        };
+        document.addEventListener('keydown', escListener);
+        overlay.escListener = escListener;
+        
+        document.body.appendChild(overlay);
+    }
+    
+    updateMotionCalibrationWizard(html) {
+        const instructions = document.getElementById('motion-calibration-instructions');
+        if (instructions) {
+            instructions.innerHTML = html + '<p class="blink-calibration-hint"><small>Press ESC to cancel calibration</small></p>';
+        }
+    }
+    
+    removeMotionCalibrationWizard() {
+        const overlay = document.getElementById('motion-calibration-overlay');
+        if (overlay) {
+            if (overlay.escListener) {
+                document.removeEventListener('keydown', overlay.escListener);
+            }
+            overlay.remove();
+        }
+    }
+    
+    showMotionCalibrationMessage(message) {
+        if (!message) return;
+        
+        const resultDiv = document.createElement('div');
+        resultDiv.className = 'blink-calibration-result';
+        resultDiv.textContent = message;
+        document.body.appendChild(resultDiv);
+        
+        setTimeout(() => resultDiv.remove(), 4000);
     }
     
     updateHeadDirection(newDirection) {
@@ -469,9 +909,7 @@ class GazeDetector {
         }
         
         // Fallback: estimate pupil position from eye corners with lower confidence
-        const eyeCorners = eye === 'left' ? 
-            [landmarks[263], landmarks[362]] : // Left eye corners
-            [landmarks[33], landmarks[133]];   // Right eye corners
+        const eyeCorners = [landmarks[this.eyeLandmarks[eye].cornerA], landmarks[this.eyeLandmarks[eye].cornerB]];
             
         if (eyeCorners[0] && eyeCorners[1]) {
             const avgX = (eyeCorners[0].x + eyeCorners[1].x) / 2;
@@ -491,45 +929,20 @@ class GazeDetector {
     }
     
     calculateGazeDirection(pupil, eye, headPose) {
-        // Enhanced gaze calculation with better mapping and head pose correction
-        if (!pupil) return { x: 0, y: 0, confidence: 0 };
-        
-        // Get eye center position for reference
-        const landmarks = this.currentLandmarks; // We'll need to store this
-        const eyeCenterIdx = eye === 'left' ? 468 : 473; // Iris center
-        
-        let eyeCenter = { x: this.canvas.width / 2, y: this.canvas.height / 2 };
-        if (landmarks && landmarks[eyeCenterIdx]) {
-            eyeCenter = {
-                x: landmarks[eyeCenterIdx].x * this.canvas.width,
-                y: landmarks[eyeCenterIdx].y * this.canvas.height
-            };
-        }
-        
-        // Calculate relative pupil position within the eye
-        const pupilOffset = {
-            x: pupil.x - eyeCenter.x,
-            y: pupil.y - eyeCenter.y
-        };
+        // Geometric eye model: where the iris sits within the eye opening gives the eye's
+        // rotation in the head; the head rotation then turns that into a gaze ray from the
+        // eyeball centre, and the ray is followed to the camera (screen) plane.
+        if (!pupil || !this.currentLandmarks) return { x: 0, y: 0, confidence: 0 };
         
-        // Convert to normalized gaze direction using user-adjustable sensitivity
-        // Higher sensitivity = larger cursor movements (more responsive)
-        const scaleX = this.sensitivity.horizontal * 2.0; // Amplify horizontal movement
-        const scaleY = this.sensitivity.vertical * 2.0;   // Amplify vertical movement
+        const geometry = this.getEyeGeometry(this.currentLandmarks, eye);
+        if (!geometry) return { x: 0, y: 0, confidence: 0 };
         
-        let gazeX = (pupilOffset.x / this.canvas.width) * scaleX;
-        let gazeY = (pupilOffset.y / this.canvas.height) * scaleY;
+        const eyeAngles = this.estimateEyeRotation(geometry);
+        const ray = this.getGazeRay(eye, eyeAngles, this.currentMatrix);
         
-        // Apply head pose correction
-        if (headPose && headPose.translation) {
-            const headCorrection = {
-                x: (headPose.translation[0] / this.canvas.width) * 0.05,
-                y: (headPose.translation[1] / this.canvas.height) * 0.05
-            };
-            
-            gazeX -= headCorrection.x;
-            gazeY -= headCorrection.y;
-        }
+        // Higher sensitivity = larger cursor movements (more responsive)
+        let gazeX = ray.x * this.sensitivity.horizontal * 2.0;
+        let gazeY = ray.y * this.sensitivity.vertical * 2.0;
         
         // Apply calibration offset if available
         if (this.calibrationData.center) {
@@ -541,7 +954,139 @@ class GazeDetector {
             x: gazeX,
             y: gazeY,
             confidence: pupil.confidence || 0.5,
-            raw: { pupilOffset, eyeCenter }
+            raw: { geometry, eyeAngles, headCorrected: ray.headCorrected }
+        };
+    }
+    
+    getEyeGeometry(landmarks, eye) {
+        // Iris centre as a fraction of the eye opening: x along the corner-to-corner axis,
+        // y between the eyelids. 0 is centred; positive is toward the image right / down.
+        const indices = this.eyeLandmarks[eye];
+        const point = (index) => landmarks[index] ? {
+            x: landmarks[index].x * this.canvas.width,
+            y: landmarks[index].y * this.canvas.height
+        } : null;
+        
+        const iris = point(indices.iris);
+        const cornerA = point(indices.cornerA);
+        const cornerB = point(indices.cornerB);
+        const upperLid = point(indices.upperLid);
+        const lowerLid = point(indices.lowerLid);
+        if (!iris || !cornerA || !cornerB || !upperLid || !lowerLid) return null;
+        
+        // Axis from the image-left corner to the image-right corner, so head roll doesn't leak in
+        const [start, end] = cornerA.x <= cornerB.x ? [cornerA, cornerB] : [cornerB, cornerA];
+        const width = Math.hypot(end.x - start.x, end.y - start.y);
+        if (width < 1) return null;
+        
+        const axis = { x: (end.x - start.x) / width, y: (end.y - start.y) / width };
+        const normal = { x: -axis.y, y: axis.x }; // Points down the image for a level eye
+        const along = (p) => (p.x - start.x) * axis.x + (p.y - start.y) * axis.y;
+        const across = (p) => (p.x - start.x) * normal.x + (p.y - start.y) * normal.y;
+        
+        const upper = across(upperLid);
+        const opening = across(lowerLid) - upper;
+        
+        return {
+            x: along(iris) / width - 0.5,
+            // With the lids nearly shut there's no vertical reference left
+            y: opening > 1 ? (across(iris) - upper) / opening - 0.5 : 0,
+            width,
+            openness: Math.max(0, opening) / width
+        };
+    }
+    
+    getEyelidState(landmarks, blendShapes = null) {
+        // Per-eye openness from the lid landmarks relative to the user's usual gap (1 = open
+        // as usual, 0 = shut). Blinks need both eyeBlink blend shapes high when available;
+        // a wink only drops the eye that closed.
+        const settings = this.eyelidSettings;
+        let blinkScores = null;
+        if (blendShapes) {
+            const score = (name) => blendShapes.categories.find(c => c.categoryName === name)?.score || 0;
+            blinkScores = [score('eyeBlinkLeft'), score('eyeBlinkRight')];
+        }
+        const blink = blinkScores ? Math.min(...blinkScores) : null;
+        const winking = blinkScores !== null && blink < settings.blinkThreshold && Math.max(...blinkScores) >= settings.blinkThreshold;
+        
+        const state = { blink };
+        ['left', 'right'].forEach(eye => {
+            const geometry = this.getEyeGeometry(landmarks, eye);
+            const baseline = this.eyelids.baseline[eye];
+            if (!geometry) {
+                state[eye] = { openness: 0, isOpen: false };
+                return;
+            }
+            
+            const openness = baseline ? Math.min(1, geometry.openness / baseline) : 1;
+            
+            // Only learn the usual gap from frames where both eyes are clearly open
+            const looksOpen = blinkScores ? Math.max(...blinkScores) < settings.blinkThreshold / 2 : openness >= settings.minOpenRatio;
+            if (looksOpen) {
+                this.eyelids.baseline[eye] = baseline ?
+                    baseline + (geometry.openness - baseline) * settings.baselineRate : geometry.openness;
+            }
+            
+            state[eye] = { openness, isOpen: openness >= settings.minOpenRatio };
+        });
+        
+        // The winking eye is the one with the narrower lid gap, so blend-shape mirroring doesn't matter
+        if (winking) {
+            const closedEye = state.left.openness <= state.right.openness ? 'left' : 'right';
+            state[closedEye].isOpen = false;
+        }
+        
+        state.blinking = (blink !== null && blink >= settings.blinkThreshold) || (!state.left.isOpen && !state.right.isOpen);
+        this.eyelids.current = state;
+        return state;
+    }
+    
+    estimateEyeRotation(geometry) {
+        // Iris offset in mm from the eye's centre, then the rotation of the eyeball that puts it there
+        const model = this.eyeModel;
+        const offsetX = geometry.x * model.eyeWidth;
+        const offsetY = geometry.y * geometry.openness * model.eyeWidth;
+        const angle = (offset) => Math.asin(Math.max(-1, Math.min(1, offset / model.eyeballRadius)));
+        
+        return {
+            yaw: angle(offsetX),   // Radians, positive = toward the image right
+            pitch: angle(offsetY)  // Radians, positive = down
+        };
+    }
+    
+    getGazeRay(eye, eyeAngles, matrix) {
+        // Gaze direction in face-model coordinates: x toward the image right, y up, z toward the camera
+        const direction = [
+            Math.sin(eyeAngles.yaw) * Math.cos(eyeAngles.pitch),
+            -Math.sin(eyeAngles.pitch),
+            Math.cos(eyeAngles.yaw) * Math.cos(eyeAngles.pitch)
+        ];
+        
+        // Without a head pose the eye rotation alone is the best estimate
+        if (!matrix) {
+            return { x: direction[0] / direction[2], y: -direction[1] / direction[2], headCorrected: false };
+        }
+        
+        // MediaPipe matrices are column-major 4x4
+        const data = matrix.data;
+        const rotate = (v) => [0, 1, 2].map(row => data[row] * v[0] + data[4 + row] * v[1] + data[8 + row] * v[2]);
+        
+        const eyeBallCenter = this.eyeLandmarks[eye].eyeBallCenter.map(v => v / this.eyeModel.modelUnitsPerCm);
+        const origin = rotate(eyeBallCenter).map((v, i) => v + data[12 + i]);
+        const ray = rotate(direction);
+        
+        // The face sits at negative z looking toward +z; anything else is a bad matrix
+        const distance = -origin[2];
+        if (distance <= 0 || ray[2] <= 0.05) {
+            return { x: ray[0] / Math.max(ray[2], 0.05), y: -ray[1] / Math.max(ray[2], 0.05), headCorrected: false };
+        }
+        
+        // Where the ray meets the camera plane, relative to viewing distance (~ tangent of the gaze angle)
+        const t = distance / ray[2];
+        return {
+            x: (origin[0] + ray[0] * t) / distance,
+            y: -(origin[1] + ray[1] * t) / distance,
+            headCorrected: true
         };
     }
     
@@ -552,24 +1097,47 @@ class GazeDetector {
         }
     }
     
-    getSmoothedGaze() {
+    getSmoothedGaze(frameTime = Date.now()) {
         if (this.gazeHistory.length === 0) return { x: 0, y: 0 };
         
-        const sum = this.gazeHistory.reduce((acc, gaze) => ({
-            x: acc.x + gaze.x,
-            y: acc.y + gaze.y
-        }), { x: 0, y: 0 });
+        // The history keeps raw samples; only the latest goes through the One Euro filter
+        const latest = this.gazeHistory[this.gazeHistory.length - 1];
+        return this.filters.gaze.filter({ x: latest.x, y: latest.y }, frameTime);
+    }
+    
+    setFilterParameters(name, parameters) {
+        const filter = this.filters[name];
+        if (!filter) return;
         
+        filter.setParameters(parameters);
+        console.log(`🌀 ${name} filter updated:`, filter.getParameters());
+    }
+    
+    getFilterSettings() {
         return {
-            x: sum.x / this.gazeHistory.length,
-            y: sum.y / this.gazeHistory.length
+            gaze: this.filters.gaze.getParameters(),
+            headPose: this.filters.headPose.getParameters()
         };
     }
     
-    calculateGazeConfidence(leftPupil, rightPupil) {
+    resetFilterSettings() {
+        Object.keys(this.filters).forEach(name => {
+            this.filters[name].setParameters(this.defaultFilterSettings[name]);
+        });
+    }
+    
+    resetFilters() {
+        // Drop filter state so old samples don't drag on the next ones
+        Object.values(this.filters).forEach(filter => filter.reset());
+    }
+    
+    calculateGazeConfidence(leftPupil, rightPupil, eyelids = null) {
         // Simple confidence calculation based on pupil detection quality
         if (!leftPupil || !rightPupil) return 0.5;
         
+        // Each eye's share drops as its lids close
+        const openness = eyelids ? (eyelids.left.openness + eyelids.right.openness) / 2 : 1;
+        
         // Higher confidence if both pupils are detected and reasonably positioned
         const distance = Math.sqrt(
             Math.pow(leftPupil.x - rightPupil.x, 2) + 
@@ -580,7 +1148,7 @@ class GazeDetector {
         const normalDistance = this.canvas.width * 0.1;
         const distanceRatio = Math.min(distance / normalDistance, 2);
         
-        return Math.max(0.1, Math.min(1.0, distanceRatio));
+        return Math.max(0.1, Math.min(1.0, distanceRatio) * openness);
     }
     
     drawDebugInfo(results) {
@@ -748,27 +1316,59 @@ class GazeDetector {
         const region = this.getGazeRegion();
         overlay.innerHTML = `
             Gaze: (${this.currentGaze.x.toFixed(3)}, ${this.currentGaze.y.toFixed(3)})<br>
-            Region: ${region} | Conf: ${confidence.toFixed(2)}
+            Region: ${region} | Conf: ${confidence.toFixed(2)}${this.headPose.current ? `<br>
+            Head: yaw ${this.headPose.current.yaw.toFixed(0)}° pitch ${this.headPose.current.pitch.toFixed(0)}° roll ${this.headPose.current.roll.toFixed(0)}°` : ''}
         `;
     }
     
     // Interactive Calibration System
-    startCalibration() {
-        console.log('🎯 Starting interactive gaze calibration...');
+    startCalibration(pointCount = this.calibrationSettings.pointCount) {
+        console.log(`🎯 Starting interactive gaze calibration (${pointCount} points)...`);
         this.calibrationData.isCalibrating = true;
         this.calibrationData.samples = [];
         this.calibrationStep = 0;
+        this.isValidating = false;
+        this.validationResults = null;
         
-        // Define calibration points (screen positions)
-        this.calibrationPoints = [
+        // Samples must be raw gaze, not offset by a previous calibration's centre. The previous
+        // calibration comes back if this run is cancelled, fails or isn't accepted.
+        this.calibrationBeforeRun = {
+            center: this.calibrationData.center,
+            screenCalibration: { ...this.screenCalibration },
+            thresholds: { ...this.gazeThresholds }
+        };
+        this.calibrationData.center = { x: 0, y: 0 };
+        
+        this.calibrationPoints = this.getCalibrationLayout(pointCount);
+        
+        this.showInteractiveCalibration();
+    }
+    
+    getCalibrationLayout(pointCount) {
+        // 3x3 grid near the screen edges, where nonlinearity is worst
+        const points = [
             { name: 'center', x: 0.5, y: 0.5, label: 'Center' },
-            { name: 'top', x: 0.5, y: 0.15, label: 'Top' },
-            { name: 'bottom', x: 0.5, y: 0.85, label: 'Bottom' },
-            { name: 'left', x: 0.15, y: 0.5, label: 'Left' },
-            { name: 'right', x: 0.85, y: 0.5, label: 'Right' }
+            { name: 'top-left', x: 0.1, y: 0.1, label: 'Top Left' },
+            { name: 'top', x: 0.5, y: 0.1, label: 'Top' },
+            { name: 'top-right', x: 0.9, y: 0.1, label: 'Top Right' },
+            { name: 'right', x: 0.9, y: 0.5, label: 'Right' },
+            { name: 'bottom-right', x: 0.9, y: 0.9, label: 'Bottom Right' },
+            { name: 'bottom', x: 0.5, y: 0.9, label: 'Bottom' },
+            { name: 'bottom-left', x: 0.1, y: 0.9, label: 'Bottom Left' },
+            { name: 'left', x: 0.1, y: 0.5, label: 'Left' }
         ];
         
-        this.showInteractiveCalibration();
+        if (pointCount >= 13) {
+            // Inner ring tightens the fit around the middle of the screen
+            points.push(
+                { name: 'inner-top-left', x: 0.3, y: 0.3, label: 'Inner Top Left' },
+                { name: 'inner-top-right', x: 0.7, y: 0.3, label: 'Inner Top Right' },
+                { name: 'inner-bottom-right', x: 0.7, y: 0.7, label: 'Inner Bottom Right' },
+                { name: 'inner-bottom-left', x: 0.3, y: 0.7, label: 'Inner Bottom Left' }
+            );
+        }
+        
+        return points;
     }
 
     showInteractiveCalibration() {
@@ -841,6 +1441,30 @@ class GazeDetector {
             <p style="color: #ffaa00; margin-top: 15px;"><small>Press ESC to cancel calibration</small></p>
         `;
         
+        const target = this.createCalibrationTarget(point, this.calibrationStep + 1);
+        
+        // Handle target click
+        target.addEventListener('click', () => {
+            // Change target color to indicate success
+            target.style.background = '#44ff44';
+            target.style.animation = 'none';
+            
+            // Collect samples for this point (simulate looking at it)
+            this.collectCalibrationPoint(point);
+            
+            // Move to next point after short delay
+            setTimeout(() => {
+                this.calibrationStep++;
+                this.showCalibrationPoint();
+            }, 800);
+        });
+        
+        overlay.appendChild(target);
+        
+        console.log(`📍 Showing calibration point: ${point.label} at (${point.x}, ${point.y})`);
+    }
+    
+    createCalibrationTarget(point, text) {
         // Remove previous target
         const oldTarget = document.getElementById('calibration-target');
         if (oldTarget) oldTarget.remove();
@@ -868,7 +1492,7 @@ class GazeDetector {
             animation: pulse 1.5s infinite;
         `;
         
-        target.textContent = this.calibrationStep + 1;
+        target.textContent = text;
         
         // Add pulsing animation
         if (!document.getElementById('calibration-styles')) {
@@ -884,25 +1508,7 @@ class GazeDetector {
             document.head.appendChild(style);
         }
         
-        // Handle target click
-        target.addEventListener('click', () => {
-            // Change target color to indicate success
-            target.style.background = '#44ff44';
-            target.style.animation = 'none';
-            
-            // Collect samples for this point (simulate looking at it)
-            this.collectCalibrationPoint(point);
-            
-            // Move to next point after short delay
-            setTimeout(() => {
-                this.calibrationStep++;
-                this.showCalibrationPoint();
-            }, 800);
-        });
-        
-        overlay.appendChild(target);
-        
-        console.log(`📍 Showing calibration point: ${point.label} at (${point.x}, ${point.y})`);
+        return target;
     }
     
     collectCalibrationPoint(point) {
@@ -963,10 +1569,7 @@ class GazeDetector {
         });
     }
     
-    cancelCalibration() {
-        console.log('❌ Calibration cancelled by user');
-        
-        // Remove calibration overlay
+    removeCalibrationOverlay() {
         const overlay = document.getElementById('calibration-overlay');
         if (overlay) {
             // Remove ESC listener
@@ -978,94 +1581,231 @@ class GazeDetector {
         
         const styles = document.getElementById('calibration-styles');
         if (styles) styles.remove();
+    }
+    
+    cancelCalibration() {
+        console.log('❌ Calibration cancelled by user');
+        
+        // Remove calibration overlay
+        this.removeCalibrationOverlay();
         
-        // Reset calibration state
+        // Reset calibration state; a cancelled run keeps the previous calibration
         this.calibrationData.isCalibrating = false;
         this.calibrationStep = 0;
+        this.restoreCalibrationBeforeRun();
+        this.isValidating = false;
         
         this.showCalibrationResult('❌ Calibration cancelled');
     }
     
+    restoreCalibrationBeforeRun() {
+        const previous = this.calibrationBeforeRun;
+        if (!previous) return;
+        
+        this.calibrationData.center = previous.center;
+        this.screenCalibration = previous.screenCalibration;
+        this.gazeThresholds = previous.thresholds;
+        this.calibrationBeforeRun = null;
+    }
+    
     finishCalibration() {
-        // Remove calibration overlay
-        const overlay = document.getElementById('calibration-overlay');
-        if (overlay) {
-            // Remove ESC listener
-            if (overlay.escListener) {
-                document.removeEventListener('keydown', overlay.escListener);
-            }
-            overlay.remove();
+        this.calibrationData.isCalibrating = false;
+        
+        // Calculate improved screen mapping from collected data
+        if (this.calibrationData.samples.length < 10) {
+            // Keep the previous calibration, as a cancelled run does
+            this.restoreCalibrationBeforeRun();
+            this.removeCalibrationOverlay();
+            this.showCalibrationResult('⚠️ Calibration incomplete - not enough data collected.');
+            return;
         }
         
-        const styles = document.getElementById('calibration-styles');
-        if (styles) styles.remove();
+        const xValues = this.calibrationData.samples.map(s => s.x);
+        const yValues = this.calibrationData.samples.map(s => s.y);
         
-        this.calibrationData.isCalibrating = false;
+        const xRange = Math.max(...xValues) - Math.min(...xValues);
+        const yRange = Math.max(...yValues) - Math.min(...yValues);
         
-        // Calculate improved screen mapping from collected data
-        if (this.calibrationData.samples.length >= 10) {
-            this.calculateScreenCalibration();
+        // Calculate center point first - gaze is reported relative to it from now on,
+        // so the screen mapping is fitted on centred values too
+        const center = {
+            x: xValues.reduce((a, b) => a + b, 0) / xValues.length,
+            y: yValues.reduce((a, b) => a + b, 0) / yValues.length
+        };
+        
+        this.calculateScreenCalibration(center);
+        
+        // Validate calibration results
+        if (!this.validateCalibration()) {
+            // Fall back to the calibration from before this run
+            this.restoreCalibrationBeforeRun();
+            this.removeCalibrationOverlay();
+            this.showCalibrationResult('⚠️ Calibration produced invalid results, keeping the previous calibration.');
+            return;
+        }
+        
+        this.calibrationData.center = center;
+        
+        // Set thresholds as percentage of observed range
+        this.gazeThresholds.x = Math.max(0.005, xRange * 0.3);
+        this.gazeThresholds.y = Math.max(0.005, yRange * 0.3);
+        
+        console.log('✅ Interactive calibration complete:', {
+            center: this.calibrationData.center,
+            thresholds: this.gazeThresholds,
+            samples: this.calibrationData.samples.length,
+            screenCalibration: this.screenCalibration
+        });
+        
+        // Check the fit on points it hasn't seen; it is only saved once the player accepts it
+        this.startValidation();
+    }
+    
+    startValidation() {
+        console.log('🔍 Validating gaze calibration on fresh points...');
+        this.isValidating = true;
+        this.validationStep = 0;
+        this.validationResults = [];
+        this.showValidationPoint();
+    }
+    
+    showValidationPoint() {
+        const points = this.calibrationSettings.validationPoints;
+        if (this.validationStep >= points.length) {
+            this.finishValidation();
+            return;
+        }
+        
+        const point = points[this.validationStep];
+        const overlay = document.getElementById('calibration-overlay');
+        const instructions = document.getElementById('calibration-instructions');
+        if (!overlay || !instructions) return;
+        
+        instructions.innerHTML = `
+            <h3>🔍 Checking Accuracy</h3>
+            <p>Point ${this.validationStep + 1} of ${points.length}</p>
+            <p><strong>Look at the ${point.label.toUpperCase()} target and click it</strong></p>
+            <p>Keep looking at it until the next one appears</p>
+            <p style="color: #ffaa00; margin-top: 15px;"><small>Press ESC to cancel calibration</small></p>
+        `;
+        
+        const target = this.createCalibrationTarget(point, '?');
+        target.style.background = '#4488ff';
+        
+        target.addEventListener('click', async () => {
+            target.style.background = '#44ff44';
+            target.style.animation = 'none';
             
-            // Validate calibration results
-            if (this.validateCalibration()) {
-                const xValues = this.calibrationData.samples.map(s => s.x);
-                const yValues = this.calibrationData.samples.map(s => s.y);
-                
-                const xRange = Math.max(...xValues) - Math.min(...xValues);
-                const yRange = Math.max(...yValues) - Math.min(...yValues);
-                
-                // Set thresholds as percentage of observed range
-                this.gazeThresholds.x = Math.max(0.005, xRange * 0.3);
-                this.gazeThresholds.y = Math.max(0.005, yRange * 0.3);
-                
-                // Calculate center point
-                this.calibrationData.center = {
-                    x: xValues.reduce((a, b) => a + b, 0) / xValues.length,
-                    y: yValues.reduce((a, b) => a + b, 0) / yValues.length
-                };
+            const error = await this.measureValidationPoint(point);
+            if (!this.isValidating) return; // Cancelled meanwhile
+            
+            this.validationResults.push({ ...point, error });
+            this.validationStep++;
+            this.showValidationPoint();
+        }, { once: true });
+        
+        overlay.appendChild(target);
+    }
+    
+    measureValidationPoint(point) {
+        // Average pixel distance between where the calibrated mapping puts the gaze and the target
+        const settings = this.calibrationSettings;
+        const targetX = point.x * window.innerWidth;
+        const targetY = point.y * window.innerHeight;
+        
+        return new Promise(resolve => {
+            setTimeout(() => {
+                const errors = [];
+                let taken = 0;
                 
-                this.showCalibrationResult('✅ Calibration complete! Gaze detection is now calibrated for your setup.');
-                console.log('✅ Interactive calibration complete:', {
-                    center: this.calibrationData.center,
-                    thresholds: this.gazeThresholds,
-                    samples: this.calibrationData.samples.length,
-                    screenCalibration: this.screenCalibration
-                });
-            } else {
-                // Reset calibration if validation failed
-                this.resetCalibration();
-                this.showCalibrationResult('⚠️ Calibration produced invalid results, using default mapping.');
-            }
-        } else {
-            this.showCalibrationResult('⚠️ Calibration incomplete - not enough data collected.');
-        }
+                const sampleInterval = setInterval(() => {
+                    const gaze = this.currentGaze;
+                    
+                    // Only real gaze counts here - a missing face must not look accurate
+                    if (gaze && (Math.abs(gaze.x) > 0.0001 || Math.abs(gaze.y) > 0.0001)) {
+                        const screen = this.gazeToScreenCoordinates(gaze);
+                        errors.push(Math.hypot(screen.x - targetX, screen.y - targetY));
+                    }
+                    
+                    taken++;
+                    if (taken >= settings.validationSamples) {
+                        clearInterval(sampleInterval);
+                        resolve(errors.length > 0 ? errors.reduce((a, b) => a + b, 0) / errors.length : null);
+                    }
+                }, 50);
+            }, settings.validationSettle);
+        });
     }
     
-    validateCalibration() {
-        if (!this.screenCalibration) return false;
+    finishValidation() {
+        this.isValidating = false;
         
-        const { scaleX, scaleY, offsetX, offsetY } = this.screenCalibration;
+        const measured = this.validationResults.filter(result => result.error !== null);
+        const averageError = measured.length > 0 ?
+            measured.reduce((sum, result) => sum + result.error, 0) / measured.length : null;
+        const isPoor = averageError === null || averageError > this.calibrationSettings.poorAccuracyPx;
         
-        // Check for NaN or infinite values
-        if (isNaN(scaleX) || isNaN(scaleY) || isNaN(offsetX) || isNaN(offsetY)) {
-            console.warn('🎯 Calibration contains NaN values');
-            return false;
-        }
+        this.screenCalibration.validation = {
+            averageError,
+            points: this.validationResults.map(({ name, x, y, error }) => ({ name, x, y, error }))
+        };
+        console.log('🔍 Calibration validation:', this.screenCalibration.validation);
         
-        if (!isFinite(scaleX) || !isFinite(scaleY) || !isFinite(offsetX) || !isFinite(offsetY)) {
-            console.warn('🎯 Calibration contains infinite values');
-            return false;
-        }
+        const instructions = document.getElementById('calibration-instructions');
+        const target = document.getElementById('calibration-target');
+        if (target) target.remove();
+        if (!instructions) return;
+        
+        const rows = this.validationResults.map(result => `
+            <tr>
+                <td style="text-align: left; padding: 2px 8px;">${result.label}</td>
+                <td style="text-align: right; padding: 2px 8px;">${result.error !== null ? `${Math.round(result.error)} px` : 'no data'}</td>
+            </tr>
+        `).join('');
+        
+        // Poor results suggest trying again, with the denser grid if the 9-point one was used
+        const retryCount = Math.max(this.calibrationPoints.length, isPoor ? 13 : 9);
+        instructions.innerHTML = `
+            <h3>${isPoor ? '⚠️ Calibration Accuracy Is Poor' : '✅ Calibration Accurate'}</h3>
+            <p>Average error: <strong>${averageError !== null ? `${Math.round(averageError)} px` : 'no gaze data'}</strong></p>
+            <table style="margin: 10px auto; font-size: 14px;">${rows}</table>
+            ${isPoor ? '<p>Sit still, keep your head level and make sure your face is well lit, then try again.</p>' : ''}
+            <button id="calibration-retry-btn">🔁 Recalibrate (${retryCount} points)</button>
+            <button id="calibration-done-btn">${isPoor ? 'Keep Anyway' : '✔ Done'}</button>
+        `;
         
-        // Check for reasonable scale values (not too extreme)
-        if (Math.abs(scaleX) > 50000 || Math.abs(scaleY) > 50000) {
-            console.warn('🎯 Calibration scale too extreme:', { scaleX, scaleY });
+        document.getElementById('calibration-retry-btn').addEventListener('click', () => {
+            this.removeCalibrationOverlay();
+            this.restoreCalibrationBeforeRun();
+            this.startCalibration(retryCount);
+        });
+        document.getElementById('calibration-done-btn').addEventListener('click', () => {
+            // Done / Keep Anyway is the only way a new calibration replaces the previous one
+            this.calibrationBeforeRun = null;
+            this.saveCalibrationProfile();
+            this.removeCalibrationOverlay();
+            this.showCalibrationResult(averageError !== null ?
+                `✅ Gaze calibrated - average error ${Math.round(averageError)} px` :
+                '✅ Calibration complete! Gaze detection is now calibrated for your setup.');
+        });
+    }
+    
+    validateCalibration() {
+        if (!this.screenCalibration || !this.screenCalibration.coefficientsX) return false;
+        
+        const { coefficientsX, coefficientsY } = this.screenCalibration;
+        
+        // Check for NaN or infinite values
+        if (![...coefficientsX, ...coefficientsY].every(value => isFinite(value))) {
+            console.warn('🎯 Calibration contains NaN or infinite values');
             return false;
         }
         
-        // Check for zero scale (would prevent movement)
-        if (Math.abs(scaleX) < 0.1 || Math.abs(scaleY) < 0.1) {
-            console.warn('🎯 Calibration scale too small:', { scaleX, scaleY });
+        // The fitted calibration points must spread across the screen, or the cursor can't move
+        const mapped = this.calibrationPoints.map(point => this.calibrationFit[point.name]).filter(Boolean);
+        const spread = (key) => Math.max(...mapped.map(m => m[key])) - Math.min(...mapped.map(m => m[key]));
+        if (mapped.length < 6 || spread('x') < 0.2 || spread('y') < 0.2) {
+            console.warn('🎯 Calibration mapping collapses the screen:', { spreadX: spread('x'), spreadY: spread('y') });
             return false;
         }
         
@@ -1080,6 +1820,8 @@ class GazeDetector {
             scaleY: window.innerHeight * 1.2,
             offsetX: window.innerWidth / 2,
             offsetY: window.innerHeight / 2,
+            coefficientsX: null,
+            coefficientsY: null,
             isCalibrated: false
         };
         
@@ -1091,7 +1833,7 @@ class GazeDetector {
         };
     }
     
-    calculateScreenCalibration() {
+    calculateScreenCalibration(center) {
         // Group samples by calibration points
         const pointGroups = {};
         
@@ -1102,53 +1844,59 @@ class GazeDetector {
             pointGroups[sample.point].push(sample);
         });
         
-        // Calculate average gaze position for each screen point
+        // Calculate average (centred) gaze position for each screen point, as screen fractions
         const gazeToScreenMapping = [];
         
         Object.keys(pointGroups).forEach(pointName => {
             const samples = pointGroups[pointName];
             const avgGaze = {
-                x: samples.reduce((sum, s) => sum + s.x, 0) / samples.length,
-                y: samples.reduce((sum, s) => sum + s.y, 0) / samples.length
+                x: samples.reduce((sum, s) => sum + s.x, 0) / samples.length - center.x,
+                y: samples.reduce((sum, s) => sum + s.y, 0) / samples.length - center.y
             };
             
             // Find corresponding screen point
             const screenPoint = this.calibrationPoints.find(p => p.name === pointName);
             if (screenPoint) {
                 gazeToScreenMapping.push({
+                    name: pointName,
                     gaze: avgGaze,
-                    screen: {
-                        x: screenPoint.x * window.innerWidth,
-                        y: screenPoint.y * window.innerHeight
-                    }
+                    screen: { x: screenPoint.x, y: screenPoint.y }
                 });
             }
         });
         
-        // Calculate linear transformation parameters
-        if (gazeToScreenMapping.length >= 3) {
-            // Use least squares to find best fit transformation
-            const { scaleX, scaleY, offsetX, offsetY } = this.calculateLinearTransform(gazeToScreenMapping);
-            
-            this.screenCalibration = {
-                scaleX,
-                scaleY,
-                offsetX,
-                offsetY,
-                isCalibrated: true
-            };
-            
-            console.log('📊 Screen calibration calculated:', this.screenCalibration);
+        // Six polynomial terms need at least six points
+        const fit = this.calculatePolynomialTransform(gazeToScreenMapping);
+        if (!fit) {
+            this.screenCalibration.coefficientsX = null;
+            this.screenCalibration.coefficientsY = null;
+            return;
         }
+        
+        this.screenCalibration = {
+            ...this.screenCalibration,
+            ...fit,
+            pointCount: this.calibrationPoints.length,
+            calibratedAt: Date.now(),
+            isCalibrated: true
+        };
+        
+        // Where the fit puts each calibration point, for the sanity check
+        this.calibrationFit = {};
+        gazeToScreenMapping.forEach(m => {
+            this.calibrationFit[m.name] = this.applyCalibrationTransform(m.gaze);
+        });
+        
+        console.log('📊 Screen calibration calculated:', this.screenCalibration);
     }
     
-    calculateLinearTransform(mapping) {
-        console.log('🧮 Calculating linear transform with mapping:', mapping);
-        
-        if (mapping.length < 3) {
-            console.warn('🧮 Not enough mapping points for calibration');
-            return { scaleX: 1, scaleY: 1, offsetX: 0, offsetY: 0 };
-        }
+    getPolynomialTerms(x, y) {
+        // Second-order terms: cross-axis (x*y) and edge curvature (x², y²)
+        return [1, x, y, x * y, x * x, y * y];
+    }
+    
+    calculatePolynomialTransform(mapping) {
+        console.log('🧮 Calculating polynomial transform with mapping:', mapping);
         
         // Validate mapping data
         const validMapping = mapping.filter(m => 
@@ -1156,72 +1904,274 @@ class GazeDetector {
             !isNaN(m.screen.x) && !isNaN(m.screen.y)
         );
         
-        if (validMapping.length < 3) {
-            console.warn('🧮 Not enough valid mapping points');
-            return { scaleX: 1, scaleY: 1, offsetX: 0, offsetY: 0 };
+        if (validMapping.length < 6) {
+            console.warn('🧮 Not enough valid mapping points for a polynomial fit');
+            return null;
         }
         
-        // Use simple linear regression approach for more stable results
+        // Normalise gaze so the squared terms don't vanish next to the linear ones
         const n = validMapping.length;
-        
-        // Calculate means
-        const meanGazeX = validMapping.reduce((sum, m) => sum + m.gaze.x, 0) / n;
-        const meanGazeY = validMapping.reduce((sum, m) => sum + m.gaze.y, 0) / n;
-        const meanScreenX = validMapping.reduce((sum, m) => sum + m.screen.x, 0) / n;
-        const meanScreenY = validMapping.reduce((sum, m) => sum + m.screen.y, 0) / n;
-        
-        // Calculate variances and covariances
-        let sumGazeXVar = 0, sumGazeYVar = 0;
-        let sumGazeXScreenX = 0, sumGazeYScreenY = 0;
-        
-        validMapping.forEach(m => {
-            const gazeXDiff = m.gaze.x - meanGazeX;
-            const gazeYDiff = m.gaze.y - meanGazeY;
-            const screenXDiff = m.screen.x - meanScreenX;
-            const screenYDiff = m.screen.y - meanScreenY;
+        const meanX = validMapping.reduce((sum, m) => sum + m.gaze.x, 0) / n;
+        const meanY = validMapping.reduce((sum, m) => sum + m.gaze.y, 0) / n;
+        const spread = Math.sqrt(validMapping.reduce((sum, m) =>
+            sum + (m.gaze.x - meanX) ** 2 + (m.gaze.y - meanY) ** 2, 0) / n) || 1;
+        const normalization = { meanX, meanY, scale: spread };
+        
+        const rows = validMapping.map(m => this.getPolynomialTerms(
+            (m.gaze.x - meanX) / spread,
+            (m.gaze.y - meanY) / spread
+        ));
+        
+        // Least squares with a little ridge regularisation, so 9 noisy points can't over-bend the edges
+        const solveAxis = (key) => {
+            const size = rows[0].length;
+            const normal = Array.from({ length: size }, () => new Array(size).fill(0));
+            const rhs = new Array(size).fill(0);
             
-            sumGazeXVar += gazeXDiff * gazeXDiff;
-            sumGazeYVar += gazeYDiff * gazeYDiff;
-            sumGazeXScreenX += gazeXDiff * screenXDiff;
-            sumGazeYScreenY += gazeYDiff * screenYDiff;
-        });
+            rows.forEach((row, i) => {
+                for (let a = 0; a < size; a++) {
+                    rhs[a] += row[a] * validMapping[i].screen[key];
+                    for (let b = 0; b < size; b++) {
+                        normal[a][b] += row[a] * row[b];
+                    }
+                }
+            });
+            for (let a = 1; a < size; a++) {
+                normal[a][a] += 1e-3;
+            }
+            
+            return this.solveLinearSystem(normal, rhs);
+        };
         
-        // Calculate scale factors
-        let scaleX = window.innerWidth * 1.2; // Default scale
-        let scaleY = window.innerHeight * 1.2; // Default scale
+        const coefficientsX = solveAxis('x');
+        const coefficientsY = solveAxis('y');
+        if (!coefficientsX || !coefficientsY) {
+            console.warn('🧮 Polynomial fit is singular');
+            return null;
+        }
         
-        if (sumGazeXVar > 0.001) {
-            scaleX = sumGazeXScreenX / sumGazeXVar;
+        console.log('🧮 Calculated polynomial transform:', { coefficientsX, coefficientsY, normalization, validPoints: n });
+        return { coefficientsX, coefficientsY, normalization };
+    }
+    
+    solveLinearSystem(matrix, vector) {
+        // Gaussian elimination with partial pivoting; returns null for singular systems
+        const size = vector.length;
+        const a = matrix.map((row, i) => [...row, vector[i]]);
+        
+        for (let col = 0; col < size; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < size; row++) {
+                if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+            }
+            if (Math.abs(a[pivot][col]) < 1e-12) return null;
+            [a[col], a[pivot]] = [a[pivot], a[col]];
+            
+            for (let row = col + 1; row < size; row++) {
+                const factor = a[row][col] / a[col][col];
+                for (let k = col; k <= size; k++) {
+                    a[row][k] -= factor * a[col][k];
+                }
+            }
         }
-        if (sumGazeYVar > 0.001) {
-            scaleY = sumGazeYScreenY / sumGazeYVar;
+        
+        const solution = new Array(size).fill(0);
+        for (let row = size - 1; row >= 0; row--) {
+            let sum = a[row][size];
+            for (let k = row + 1; k < size; k++) {
+                sum -= a[row][k] * solution[k];
+            }
+            solution[row] = sum / a[row][row];
         }
+        return solution;
+    }
+    
+    applyCalibrationTransform(gaze) {
+        // Centred gaze -> screen position as fractions of the window
+        const { coefficientsX, coefficientsY, normalization } = this.screenCalibration;
+        const terms = this.getPolynomialTerms(
+            (gaze.x - normalization.meanX) / normalization.scale,
+            (gaze.y - normalization.meanY) / normalization.scale
+        );
+        const dot = (coefficients) => coefficients.reduce((sum, c, i) => sum + c * terms[i], 0);
         
-        // Calculate offsets
-        const offsetX = meanScreenX - (scaleX * meanGazeX);
-        const offsetY = meanScreenY - (scaleY * meanGazeY);
+        return { x: dot(coefficientsX), y: dot(coefficientsY) };
+    }
+    
+    // === Calibration profiles ===
+    // Saved per camera and screen, so a calibration survives page loads
+    
+    getCalibrationContext() {
+        return {
+            deviceId: this.cameraDevice.deviceId,
+            cameraLabel: this.cameraDevice.label,
+            screen: { width: window.screen.width, height: window.screen.height },
+            window: { width: window.innerWidth, height: window.innerHeight }
+        };
+    }
+    
+    profileMatchesContext(profile, context = this.getCalibrationContext()) {
+        return profile.deviceId === context.deviceId &&
+            profile.screen.width === context.screen.width &&
+            profile.screen.height === context.screen.height;
+    }
+    
+    setCameraDevice(deviceId, label = null) {
+        // Called by the game whenever the camera starts or changes
+        const cameraChanged = this.cameraDevice.deviceId !== (deviceId || 'default');
+        this.cameraDevice = { deviceId: deviceId || 'default', label: label || 'Default camera' };
         
-        // Validate and clamp results
-        const finalScaleX = isNaN(scaleX) ? window.innerWidth * 1.2 : Math.max(-20000, Math.min(20000, scaleX));
-        const finalScaleY = isNaN(scaleY) ? window.innerHeight * 1.2 : Math.max(-20000, Math.min(20000, scaleY));
-        const finalOffsetX = isNaN(offsetX) ? window.innerWidth / 2 : Math.max(-window.innerWidth * 2, Math.min(window.innerWidth * 3, offsetX));
-        const finalOffsetY = isNaN(offsetY) ? window.innerHeight / 2 : Math.max(-window.innerHeight * 2, Math.min(window.innerHeight * 3, offsetY));
+        if (cameraChanged || !this.activeProfileId) {
+            this.loadMatchingCalibrationProfile();
+        }
+    }
+    
+    loadMatchingCalibrationProfile() {
+        const context = this.getCalibrationContext();
+        const profile = this.calibrationProfiles
+            .filter(p => this.profileMatchesContext(p, context))
+            .sort((a, b) => b.updatedAt - a.updatedAt)[0];
+        
+        if (profile) {
+            this.applyCalibrationProfile(profile);
+            console.log(`🎯 Loaded gaze calibration "${profile.name}"`);
+        } else if (this.activeProfileId) {
+            // Keep using the old calibration, but it was made for another camera or screen
+            console.log('🎯 No gaze calibration for this camera and screen - current one is stale');
+        }
         
-        const result = { 
-            scaleX: finalScaleX, 
-            scaleY: finalScaleY, 
-            offsetX: finalOffsetX, 
-            offsetY: finalOffsetY 
+        this.checkCalibrationStale();
+    }
+    
+    applyCalibrationProfile(profile) {
+        const calibration = profile.calibration;
+        this.screenCalibration = { ...calibration.screenCalibration };
+        this.calibrationData.center = { ...calibration.center };
+        this.gazeThresholds = { ...calibration.thresholds };
+        this.activeProfileId = profile.id;
+    }
+    
+    checkCalibrationStale() {
+        // A calibration is stale once the window is resized or the camera/screen no longer match
+        const profile = this.calibrationProfiles.find(p => p.id === this.activeProfileId);
+        const context = this.getCalibrationContext();
+        const isStale = !!profile && (!this.profileMatchesContext(profile, context) ||
+            profile.window.width !== context.window.width ||
+            profile.window.height !== context.window.height);
+        
+        if (isStale !== this.calibrationStale) {
+            this.calibrationStale = isStale;
+            if (isStale) {
+                console.log('🎯 Gaze calibration is stale - recalibrate for best accuracy');
+            }
+            this.notifyCalibrationProfilesChanged();
+        }
+    }
+    
+    saveCalibrationProfile() {
+        // Re-running a matching profile updates it; otherwise a new one is added
+        const context = this.getCalibrationContext();
+        const now = Date.now();
+        const calibration = {
+            screenCalibration: { ...this.screenCalibration },
+            center: { ...this.calibrationData.center },
+            thresholds: { ...this.gazeThresholds }
         };
         
-        console.log('🧮 Calculated transform:', {
-            result,
-            means: { gazeX: meanGazeX, gazeY: meanGazeY, screenX: meanScreenX, screenY: meanScreenY },
-            variances: { gazeX: sumGazeXVar, gazeY: sumGazeYVar },
-            validPoints: validMapping.length
-        });
+        let profile = this.calibrationProfiles.find(p => p.id === this.activeProfileId);
+        if (profile && this.profileMatchesContext(profile, context)) {
+            Object.assign(profile, { window: context.window, calibration, updatedAt: now });
+        } else {
+            profile = {
+                id: `gaze-${now}`,
+                name: `${context.cameraLabel} · ${context.screen.width}×${context.screen.height}`,
+                deviceId: context.deviceId,
+                cameraLabel: context.cameraLabel,
+                screen: context.screen,
+                window: context.window,
+                calibration,
+                createdAt: now,
+                updatedAt: now
+            };
+            this.calibrationProfiles.push(profile);
+        }
+        
+        this.activeProfileId = profile.id;
+        this.calibrationStale = false;
+        this.storeCalibrationProfiles();
+        console.log(`💾 Saved gaze calibration "${profile.name}"`);
+    }
+    
+    getCalibrationProfiles() {
+        const context = this.getCalibrationContext();
+        return this.calibrationProfiles.map(profile => ({
+            id: profile.id,
+            name: profile.name,
+            cameraLabel: profile.cameraLabel,
+            screen: profile.screen,
+            updatedAt: profile.updatedAt,
+            averageError: profile.calibration.screenCalibration.validation ?
+                profile.calibration.screenCalibration.validation.averageError : null,
+            isActive: profile.id === this.activeProfileId,
+            isStale: profile.id === this.activeProfileId && this.calibrationStale,
+            matchesCurrent: this.profileMatchesContext(profile, context)
+        }));
+    }
+    
+    renameCalibrationProfile(id, name) {
+        const profile = this.calibrationProfiles.find(p => p.id === id);
+        if (!profile || !name || !name.trim()) return;
         
-        return result;
+        profile.name = name.trim();
+        this.storeCalibrationProfiles();
+    }
+    
+    deleteCalibrationProfile(id) {
+        this.calibrationProfiles = this.calibrationProfiles.filter(p => p.id !== id);
+        
+        if (this.activeProfileId === id) {
+            this.activeProfileId = null;
+            this.calibrationStale = false;
+            this.resetCalibration();
+        }
+        this.storeCalibrationProfiles();
+    }
+    
+    rerunCalibrationProfile(id) {
+        // Only profiles for the current camera and screen can be re-run; the result replaces them
+        const profile = this.calibrationProfiles.find(p => p.id === id);
+        if (!profile || !this.profileMatchesContext(profile)) return false;
+        
+        this.applyCalibrationProfile(profile);
+        this.startCalibration(profile.calibration.screenCalibration.pointCount || this.calibrationSettings.pointCount);
+        return true;
+    }
+    
+    storeCalibrationProfiles() {
+        try {
+            localStorage.setItem(this.calibrationProfilesStorageKey, JSON.stringify(this.calibrationProfiles));
+        } catch (error) {
+            console.warn('Could not save gaze calibrations:', error);
+        }
+        this.notifyCalibrationProfilesChanged();
+    }
+    
+    loadCalibrationProfiles() {
+        try {
+            const saved = localStorage.getItem(this.calibrationProfilesStorageKey);
+            const profiles = saved ? JSON.parse(saved) : [];
+            this.calibrationProfiles = Array.isArray(profiles) ?
+                profiles.filter(p => p && p.calibration && p.calibration.screenCalibration && p.screen && p.window) : [];
+        } catch (error) {
+            console.warn('Could not load saved gaze calibrations:', error);
+            this.calibrationProfiles = [];
+        }
+    }
+    
+    notifyCalibrationProfilesChanged() {
+        if (this.onCalibrationProfilesChange) {
+            this.onCalibrationProfilesChange(this.getCalibrationProfiles());
+        }
     }
     
     stopCalibration() {
@@ -1373,10 +2323,11 @@ class GazeDetector {
         let screenX, screenY;
         
         // Apply calibration if available and properly calibrated
-        if (this.screenCalibration && this.screenCalibration.isCalibrated) {
-            // Use calibrated transformation
-            screenX = (gaze.x * this.screenCalibration.scaleX) + this.screenCalibration.offsetX;
-            screenY = (gaze.y * this.screenCalibration.scaleY) + this.screenCalibration.offsetY;
+        if (this.screenCalibration && this.screenCalibration.isCalibrated && this.screenCalibration.coefficientsX) {
+            // Use calibrated polynomial transformation
+            const mapped = this.applyCalibrationTransform(gaze);
+            screenX = mapped.x * screenWidth;
+            screenY = mapped.y * screenHeight;
             
             // Debug calibrated mapping occasionally
             if (Math.random() < 0.01) { // 1% chance to log
@@ -1430,6 +2381,8 @@ class GazeDetector {
             offsetY: 0,
             scaleX: 1,
             scaleY: 1,
+            coefficientsX: null,
+            coefficientsY: null,
             isCalibrated: false
         };
     }
@@ -1441,11 +2394,6 @@ class GazeDetector {
         console.log('🎯 Sensitivity updated:', this.sensitivity);
     }
     
-    setSmoothing(smoothing) {
-        this.sensitivity.smoothing = Math.max(0.1, Math.min(1.0, smoothing));
-        console.log('🎯 Smoothing updated:', this.sensitivity.smoothing);
-    }
-    
     setConfidenceThreshold(threshold) {
         this.sensitivity.confidence = Math.max(0.1, Math.min(1.0, threshold));
         console.log('🎯 Confidence threshold updated:', this.sensitivity.confidence);
@@ -1462,11 +2410,16 @@ class GazeDetector {
             calibrationCenter: this.calibrationData.center,
             thresholds: this.gazeThresholds,
             sensitivity: this.sensitivity,
+            filters: this.getFilterSettings(),
+            eyelids: this.eyelids.current,
+            blinkHeldFrames: this.eyelids.heldFrames,
             adjustedGaze: {
                 x: this.currentGaze.x - this.calibrationData.center.x,
                 y: this.currentGaze.y - this.calibrationData.center.y
             },
             region: this.getGazeRegion(),
+            headPose: this.headPose.current,
+            headDirection: this.currentHeadDirection,
             isCalibrating: this.calibrationData.isCalibrating,
             calibrationSamples: this.calibrationData.samples.length,
             gazeHistory: this.gazeHistory.length,
@@ -0,0 +1,164 @@
+/**
+ * LandmarkTrace - Records Face Landmarker output to JSON and rebuilds it for replay
+ * Attach to a FacePipeline while recording; hand a loaded trace to
+ * FacePipeline.loadReplay() to drive BlinkDetector and GazeDetector without a camera
+ */
+
+class LandmarkTrace {
+    constructor(data = null) {
+        this.version = 1;
+        this.frames = data ? data.frames : [];
+        this.metadata = data ? data.metadata : {};
+        
+        // Recording state
+        this.isRecording = false;
+        this.pipeline = null;
+        this.recordStartTime = 0;
+        
+        // Landmarks are rounded to keep traces a manageable size
+        this.precision = 5;
+    }
+    
+    static fromJSON(text) {
+        const data = typeof text === 'string' ? JSON.parse(text) : text;
+        
+        if (!data || !Array.isArray(data.frames)) {
+            throw new Error('Not a landmark trace: missing frames');
+        }
+        if (data.version !== 1) {
+            throw new Error(`Unsupported landmark trace version: ${data.version}`);
+        }
+        
+        return new LandmarkTrace(data);
+    }
+    
+    static async load(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load trace ${url}: ${response.status}`);
+        }
+        return LandmarkTrace.fromJSON(await response.text());
+    }
+    
+    startRecording(pipeline, metadata = {}) {
+        if (this.isRecording) return;
+        
+        this.frames = [];
+        this.metadata = {
+            recordedAt: new Date().toISOString(),
+            videoWidth: pipeline.video ? pipeline.video.videoWidth : null,
+            videoHeight: pipeline.video ? pipeline.video.videoHeight : null,
+            ...metadata
+        };
+        this.recordStartTime = 0;
+        this.pipeline = pipeline;
+        this.isRecording = true;
+        
+        pipeline.attach('trace-recorder', this);
+        console.log('⏺️ Landmark trace recording started');
+    }
+    
+    stopRecording() {
+        if (!this.isRecording) return this;
+        
+        this.isRecording = false;
+        this.pipeline.detach('trace-recorder');
+        this.pipeline = null;
+        
+        console.log(`⏹️ Landmark trace recording stopped: ${this.frames.length} frames, ${(this.getDuration() / 1000).toFixed(1)}s`);
+        return this;
+    }
+    
+    processFrame(results, timestamp) {
+        // Called by FacePipeline while recording
+        if (!this.isRecording) return;
+        
+        if (this.frames.length === 0) {
+            this.recordStartTime = timestamp;
+        }
+        
+        this.frames.push(this.serializeFrame(results, timestamp - this.recordStartTime));
+    }
+    
+    serializeFrame(results, time) {
+        const round = (value) => Number(value.toFixed(this.precision));
+        const landmarks = results.faceLandmarks && results.faceLandmarks[0];
+        const blendshapes = results.faceBlendshapes && results.faceBlendshapes[0];
+        const matrix = results.facialTransformationMatrixes && results.facialTransformationMatrixes[0];
+        
+        const frame = {
+            t: Math.round(time),
+            blendshapes: null,
+            landmarks: null,
+            matrix: null
+        };
+        
+        if (blendshapes) {
+            frame.blendshapes = {};
+            blendshapes.categories.forEach(category => {
+                frame.blendshapes[category.categoryName] = round(category.score);
+            });
+        }
+        if (landmarks) {
+            frame.landmarks = landmarks.map(point => [round(point.x), round(point.y), round(point.z)]);
+        }
+        if (matrix) {
+            frame.matrix = Array.from(matrix.data, round);
+        }
+        
+        return frame;
+    }
+    
+    getFrameResults(index) {
+        // Rebuild the shape FaceLandmarker.detectForVideo() returns
+        const frame = this.frames[index];
+        
+        return {
+            faceLandmarks: frame.landmarks
+                ? [frame.landmarks.map(([x, y, z]) => ({ x, y, z }))]
+                : [],
+            faceBlendshapes: frame.blendshapes
+                ? [{
+                    categories: Object.entries(frame.blendshapes).map(([categoryName, score], categoryIndex) => ({
+                        index: categoryIndex,
+                        score,
+                        categoryName,
+                        displayName: ''
+                    }))
+                }]
+                : [],
+            facialTransformationMatrixes: frame.matrix
+                ? [{ rows: 4, columns: 4, data: frame.matrix }]
+                : []
+        };
+    }
+    
+    getDuration() {
+        return this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0;
+    }
+    
+    toJSON() {
+        return {
+            version: this.version,
+            metadata: this.metadata,
+            frames: this.frames
+        };
+    }
+    
+    download(filename = `blink-bloom-trace-${Date.now()}.json`) {
+        const blob = new Blob([JSON.stringify(this.toJSON())], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Export for use in other modules
+window.LandmarkTrace = LandmarkTrace;
@@ -0,0 +1,26 @@
+/**
+ * MediaPipe asset configuration - where FacePipeline loads tasks-vision and the model from
+ * Sources are tried in order; the first one whose files are all reachable is used.
+ * Run `python vendor/mediapipe/fetch_assets.py` once to populate the local copy
+ * for offline machines, or point the paths at your own server.
+ */
+
+const mediapipeConfig = {
+    sources: [
+        {
+            name: 'local',
+            visionBundle: 'vendor/mediapipe/tasks-vision/vision_bundle.mjs',
+            wasm: 'vendor/mediapipe/tasks-vision/wasm',
+            model: 'vendor/mediapipe/models/face_landmarker.task'
+        },
+        {
+            name: 'cdn',
+            visionBundle: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3',
+            wasm: 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.3/wasm',
+            model: 'https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task'
+        }
+    ]
+};
+
+// Export for use in other modules
+window.mediapipeConfig = mediapipeConfig;
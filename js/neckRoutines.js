@@ -0,0 +1,68 @@
+/**
+ * Neck exercise routines - sequences the wind system plays instead of random winds
+ * Each step is either a wind { direction, hold } or a rest gap { rest }, times in ms.
+ * Directions are north (look up), south (look down), east/west (tilt toward the
+ * right/left shoulder) and the diagonals northeast, northwest, southeast, southwest.
+ * A wind step without a hold uses the hold time chosen in settings.
+ * Routines added here appear in the settings list automatically.
+ */
+
+const neckRoutines = {
+    random: {
+        name: 'Random winds',
+        description: 'A single wind from a random direction every 15-30 seconds',
+        steps: null // Not a sequence - the wind system picks directions itself
+    },
+    basicStretch: {
+        name: 'Basic stretch',
+        description: 'Up, down and side to side with 5 second holds',
+        steps: [
+            { direction: 'north', hold: 5000 },
+            { direction: 'south', hold: 5000 },
+            { direction: 'east' },
+            { direction: 'west' }
+        ]
+    },
+    sideTilts: {
+        name: 'Side tilts',
+        description: 'Alternating shoulder tilts with a rest halfway',
+        steps: [
+            { direction: 'east', hold: 5000 },
+            { direction: 'west', hold: 5000 },
+            { rest: 10000 },
+            { direction: 'east', hold: 8000 },
+            { direction: 'west', hold: 8000 }
+        ]
+    },
+    fullCircle: {
+        name: 'Full circle',
+        description: 'All eight directions, diagonals included',
+        steps: [
+            { direction: 'north' },
+            { direction: 'northeast' },
+            { direction: 'east' },
+            { direction: 'southeast' },
+            { direction: 'south' },
+            { direction: 'southwest' },
+            { direction: 'west' },
+            { direction: 'northwest' },
+            { rest: 5000 }
+        ]
+    },
+    gentle: {
+        name: 'Gentle mobility',
+        description: 'Short holds with long rests between stretches',
+        steps: [
+            { direction: 'south', hold: 2000 },
+            { rest: 15000 },
+            { direction: 'east', hold: 2000 },
+            { rest: 15000 },
+            { direction: 'west', hold: 2000 },
+            { rest: 15000 },
+            { direction: 'north', hold: 2000 }
+        ]
+    }
+};
+
+// Export for use in other modules
+window.neckRoutines = neckRoutines;
@@ -0,0 +1,93 @@
+/**
+ * OneEuroFilter - Speed-adaptive low-pass filter for noisy tracking signals
+ * The cutoff frequency rises with the signal's speed, so it smooths hard while the
+ * signal is still (fixations, a held pose) and barely lags when it moves fast (saccades).
+ * See Casiez, Roussel & Vogel, "1€ Filter", CHI 2012.
+ * Filters every numeric key of the samples it is given ({ x, y }, { yaw, pitch, roll }, ...)
+ * independently; timestamps are in ms.
+ */
+
+class OneEuroFilter {
+    constructor(parameters = {}) {
+        this.minCutoff = 1.0; // Hz - cutoff while still; lower = steadier but laggier
+        this.beta = 0.0;      // Cutoff gained per unit of speed; higher = less lag on fast moves
+        this.dCutoff = 1.0;   // Hz - cutoff for the speed estimate itself
+        this.maxGap = 1000;   // ms without samples (face lost) before the filter starts over
+        
+        this.setParameters(parameters);
+        this.reset();
+    }
+    
+    setParameters(parameters = {}) {
+        ['minCutoff', 'beta', 'dCutoff'].forEach(key => {
+            const value = parameters[key];
+            if (typeof value === 'number' && isFinite(value)) {
+                this[key] = Math.max(0, value);
+            }
+        });
+        // A zero cutoff would freeze the output
+        this.minCutoff = Math.max(0.01, this.minCutoff);
+        this.dCutoff = Math.max(0.01, this.dCutoff);
+    }
+    
+    getParameters() {
+        return { minCutoff: this.minCutoff, beta: this.beta, dCutoff: this.dCutoff };
+    }
+    
+    reset() {
+        this.state = {}; // key -> { value, speed }
+        this.lastTimestamp = null;
+    }
+    
+    filter(sample, timestamp = performance.now()) {
+        // Start over after a long gap, or when time runs backwards (a looping trace)
+        const elapsed = this.lastTimestamp === null ? null : timestamp - this.lastTimestamp;
+        if (elapsed !== null && (elapsed > this.maxGap || elapsed < 0)) {
+            this.reset();
+        }
+        
+        const dt = this.lastTimestamp === null ? 0 : (timestamp - this.lastTimestamp) / 1000;
+        if (dt > 0 || this.lastTimestamp === null) {
+            this.lastTimestamp = timestamp;
+        }
+        
+        const filtered = {};
+        Object.keys(sample).forEach(key => {
+            const value = sample[key];
+            if (typeof value !== 'number' || !isFinite(value)) {
+                filtered[key] = value;
+                return;
+            }
+            
+            const state = this.state[key];
+            if (!state) {
+                this.state[key] = { value, speed: 0 };
+                filtered[key] = value;
+                return;
+            }
+            if (dt <= 0) {
+                // Repeated timestamp - nothing new to learn from
+                filtered[key] = state.value;
+                return;
+            }
+            
+            // Smooth the speed first, then let it open up the cutoff for the value
+            const speed = (value - state.value) / dt;
+            state.speed += (speed - state.speed) * this.alpha(this.dCutoff, dt);
+            const cutoff = this.minCutoff + this.beta * Math.abs(state.speed);
+            state.value += (value - state.value) * this.alpha(cutoff, dt);
+            filtered[key] = state.value;
+        });
+        
+        return filtered;
+    }
+    
+    alpha(cutoff, dt) {
+        // Exponential smoothing factor for a first-order low-pass at this cutoff
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    }
+}
+
+// Export for use in other modules
+window.OneEuroFilter = OneEuroFilter;
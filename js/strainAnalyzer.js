@@ -0,0 +1,234 @@
+/**
+ * StrainAnalyzer - Rolling eye-strain score from Face Landmarker blend shapes
+ * Combines sustained squinting (eyeSquint), furrowed brows (browDown) and staring
+ * (long gaps between blinks, eyeWide) into the 0-1 strain score from docs/GAMEPLAY.md.
+ * Squint and brow levels are measured against the user's own relaxed baseline.
+ */
+
+class StrainAnalyzer {
+    constructor(facePipeline) {
+        this.facePipeline = facePipeline;
+        this.isActive = false;
+        
+        // Rolling window of { t, squint, browDown, eyeWide }
+        this.samples = [];
+        this.windowMs = 30000;
+        
+        // Relaxed-face baseline, measured over the first seconds of each session
+        this.baselineDuration = 5000;
+        this.baseline = null;
+        this.baselineSamples = [];
+        this.sessionStartTime = null;
+        
+        // Blink tracking for staring - edges are detected here so cooldowns elsewhere don't hide them
+        this.closedThreshold = 0.45;
+        this.eyesClosed = false;
+        this.lastBlinkTime = null;
+        this.longestGap = 0;
+        
+        // Score components and weights
+        this.weights = { squint: 0.35, browDown: 0.25, staring: 0.4 };
+        this.ranges = {
+            squint: 0.3,       // Excess over baseline that counts as full squinting
+            browDown: 0.3,
+            eyeWide: 0.3,
+            normalGap: 4000,   // Typical time between blinks on screen (ms)
+            stareGap: 12000    // Gap that counts as full staring (ms)
+        };
+        this.smoothing = 0.05; // Per-frame EMA factor
+        this.score = 0;
+        this.components = { squint: 0, browDown: 0, staring: 0 };
+        
+        // Rest prompt trigger (docs/GAMEPLAY.md: strain > 0.6)
+        this.restThreshold = 0.6;
+        this.restSustain = 5000;     // Score must stay high this long
+        this.restCooldown = 60000;   // Minimum gap between prompts
+        this.aboveThresholdSince = null;
+        this.lastRestPrompt = -Infinity;
+        
+        // Session stats
+        this.session = this.createSessionStats();
+        
+        // Callbacks
+        this.onStrainUpdate = null; // (score, components) - about once a second
+        this.onStrainHigh = null;   // (score, components) - time to prompt a rest
+        this.updateInterval = 1000;
+        this.lastUpdate = 0;
+    }
+    
+    createSessionStats() {
+        return { scoreSum: 0, frames: 0, peak: 0, restPrompts: 0 };
+    }
+    
+    start(video = null) {
+        this.isActive = true;
+        this.lastBlinkTime = null; // Paused time isn't staring
+        this.facePipeline.attach('strain', this, video);
+    }
+    
+    stop() {
+        this.isActive = false;
+        this.facePipeline.detach('strain');
+        this.aboveThresholdSince = null;
+    }
+    
+    resetSession() {
+        this.samples = [];
+        this.baseline = null;
+        this.baselineSamples = [];
+        this.sessionStartTime = null;
+        this.lastBlinkTime = null;
+        this.longestGap = 0;
+        this.score = 0;
+        this.components = { squint: 0, browDown: 0, staring: 0 };
+        this.aboveThresholdSince = null;
+        this.lastRestPrompt = -Infinity;
+        this.session = this.createSessionStats();
+    }
+    
+    processFrame(results, timestamp) {
+        // Called by FacePipeline for every processed frame
+        if (!this.isActive) return;
+        
+        const blendShapes = results.faceBlendshapes && results.faceBlendshapes[0];
+        if (!blendShapes) {
+            // Looking away from the screen resets the stare
+            this.lastBlinkTime = null;
+            return;
+        }
+        
+        const scores = {};
+        blendShapes.categories.forEach(category => {
+            scores[category.categoryName] = category.score;
+        });
+        const pair = (name) => ((scores[`${name}Left`] || 0) + (scores[`${name}Right`] || 0)) / 2;
+        
+        if (this.sessionStartTime === null) {
+            this.sessionStartTime = timestamp;
+        }
+        if (this.lastBlinkTime === null) {
+            this.lastBlinkTime = timestamp;
+        }
+        
+        this.trackBlinks(pair('eyeBlink'), timestamp);
+        
+        // Squinting and blinking share muscles - skip closed-eye frames so blinks don't read as squints
+        if (this.eyesClosed) return;
+        
+        const sample = {
+            t: timestamp,
+            squint: pair('eyeSquint'),
+            browDown: pair('browDown'),
+            eyeWide: pair('eyeWide')
+        };
+        
+        if (!this.baseline) {
+            this.collectBaseline(sample, timestamp);
+            return;
+        }
+        
+        this.samples.push(sample);
+        while (this.samples.length > 0 && timestamp - this.samples[0].t > this.windowMs) {
+            this.samples.shift();
+        }
+        
+        this.updateScore(timestamp);
+    }
+    
+    trackBlinks(blinkLevel, timestamp) {
+        if (!this.eyesClosed && blinkLevel >= this.closedThreshold) {
+            this.eyesClosed = true;
+            this.longestGap = Math.max(this.longestGap, timestamp - this.lastBlinkTime);
+            this.lastBlinkTime = timestamp;
+        } else if (this.eyesClosed && blinkLevel < this.closedThreshold * 0.7) {
+            this.eyesClosed = false;
+        }
+    }
+    
+    collectBaseline(sample, timestamp) {
+        this.baselineSamples.push(sample);
+        
+        if (timestamp - this.sessionStartTime >= this.baselineDuration && this.baselineSamples.length > 0) {
+            // Median is robust to the odd frown while the baseline is taken
+            const median = (key) => {
+                const values = this.baselineSamples.map(s => s[key]).sort((a, b) => a - b);
+                return values[Math.floor(values.length / 2)];
+            };
+            this.baseline = {
+                squint: median('squint'),
+                browDown: median('browDown'),
+                eyeWide: median('eyeWide')
+            };
+            console.log('😌 StrainAnalyzer: baseline captured', this.baseline);
+        }
+    }
+    
+    updateScore(timestamp) {
+        const clamp = (value) => Math.max(0, Math.min(1, value));
+        const mean = (key) => this.samples.reduce((sum, s) => sum + s[key], 0) / this.samples.length;
+        const ranges = this.ranges;
+        
+        // Staring: the current gap since the last blink, nudged up by wide-open eyes
+        const gap = timestamp - this.lastBlinkTime;
+        const gapStrain = clamp((gap - ranges.normalGap) / (ranges.stareGap - ranges.normalGap));
+        const wideStrain = clamp((mean('eyeWide') - this.baseline.eyeWide) / ranges.eyeWide);
+        
+        this.components = {
+            squint: clamp((mean('squint') - this.baseline.squint) / ranges.squint),
+            browDown: clamp((mean('browDown') - this.baseline.browDown) / ranges.browDown),
+            staring: clamp(gapStrain + wideStrain * 0.3)
+        };
+        
+        const raw = Object.keys(this.weights)
+            .reduce((sum, key) => sum + this.components[key] * this.weights[key], 0);
+        this.score += (raw - this.score) * this.smoothing;
+        
+        this.session.scoreSum += this.score;
+        this.session.frames++;
+        this.session.peak = Math.max(this.session.peak, this.score);
+        
+        this.checkRestPrompt(timestamp);
+        
+        if (timestamp - this.lastUpdate >= this.updateInterval) {
+            this.lastUpdate = timestamp;
+            if (this.onStrainUpdate) {
+                this.onStrainUpdate(this.score, this.components);
+            }
+        }
+    }
+    
+    checkRestPrompt(timestamp) {
+        if (this.score < this.restThreshold) {
+            this.aboveThresholdSince = null;
+            return;
+        }
+        
+        if (this.aboveThresholdSince === null) {
+            this.aboveThresholdSince = timestamp;
+        }
+        
+        if (timestamp - this.aboveThresholdSince >= this.restSustain &&
+            timestamp - this.lastRestPrompt >= this.restCooldown) {
+            this.lastRestPrompt = timestamp;
+            this.session.restPrompts++;
+            console.log(`😣 StrainAnalyzer: strain ${this.score.toFixed(2)} - suggesting a rest`);
+            
+            if (this.onStrainHigh) {
+                this.onStrainHigh(this.score, this.components);
+            }
+        }
+    }
+    
+    getSessionSummary() {
+        const session = this.session;
+        return {
+            averageStrain: session.frames > 0 ? session.scoreSum / session.frames : null,
+            peakStrain: session.peak,
+            longestStare: this.longestGap,
+            restPrompts: session.restPrompts
+        };
+    }
+}
+
+// Export for use in other modules
+window.StrainAnalyzer = StrainAnalyzer;
@@ -0,0 +1,337 @@
+/**
+ * TrackingQualityMonitor - Watches FacePipeline frames for conditions that make detection unreliable
+ * Flags low light, a face too far or too close, off-centre (or cut off) and partly covered faces and
+ * glare on glasses, shows a hint in the camera container and keeps a per-session quality score.
+ * Lighting and glare are measured from a downscaled copy of the camera frame, so they
+ * are skipped while a landmark trace is replaying.
+ */
+
+class TrackingQualityMonitor {
+    constructor(facePipeline) {
+        this.facePipeline = facePipeline;
+        this.isActive = false;
+        this.video = null;
+        this.hintElement = null;
+        
+        // Limits are fractions of the camera frame unless noted
+        this.thresholds = {
+            minBrightness: 60,       // Mean luma (0-255) across the face
+            minFaceWidth: 0.18,      // Narrower than this and eye landmarks get noisy
+            maxFaceWidth: 0.6,       // Wider than this and the face is cropped on head turns
+            maxCentreOffset: 0.25,   // Distance of the face centre from the frame centre
+            edgeMargin: 0.01,        // Landmarks closer to the edge than this are cut off
+            maxEyeAsymmetry: 0.5,    // Sustained eyeBlink difference suggests one eye is covered
+            eyeAsymmetryDuration: 2000, // ms the difference must last - well past a wink
+            minDetectionRate: 0.7,   // Share of recent frames with a face before flicker counts as occlusion
+            glareLuma: 245,          // Pixels at least this bright count as glare
+            maxGlareFraction: 0.08   // Share of glare pixels allowed around the eyes
+        };
+        
+        // Issues must persist before a hint appears, and stay gone before it clears
+        this.showDelay = 1500;
+        this.clearDelay = 1000;
+        
+        // Checks in priority order - only the first active hint is shown
+        this.checks = {
+            lowLight: { weight: 0.4, label: 'low light', hint: '💡 Too dark - turn on a light or face a window' },
+            tooClose: { weight: 0.3, label: 'too close', hint: '↔️ Too close - lean back a little' },
+            tooFar: { weight: 0.3, label: 'too far', hint: '🔍 Too far - move closer to the camera' },
+            offCentre: { weight: 0.2, label: 'off-centre or cut off', hint: '🎯 Move into the middle of the camera view' },
+            occluded: { weight: 0.4, label: 'face partly hidden', hint: '✋ Part of your face is hidden - clear hair, hands or objects' },
+            glare: { weight: 0.3, label: 'glasses glare', hint: '👓 Glare on your glasses - tilt them or dim lights behind the screen' }
+        };
+        this.issues = {}; // name -> { since, clearedSince, active }
+        
+        // Pixel sampling for lighting and glare
+        this.sampleInterval = 500;
+        this.lastSampleTime = 0;
+        this.sampleCanvas = null;
+        this.sampleContext = null;
+        this.lighting = { brightness: null, glare: null };
+        
+        // Recent face presence for detecting flicker
+        this.detectionHistory = [];
+        this.detectionWindow = 30; // frames
+        
+        // When one eye started reading much more closed than the other
+        this.eyeAsymmetrySince = null;
+        
+        this.session = this.createSessionStats();
+        
+        // Callbacks
+        this.onQualityChange = null; // (activeIssues, score)
+        
+        this.lastScore = null;
+    }
+    
+    createSessionStats() {
+        return {
+            frames: 0,
+            faceFrames: 0,
+            scoreSum: 0,
+            issueFrames: Object.fromEntries(Object.keys(this.checks).map(name => [name, 0]))
+        };
+    }
+    
+    start(video, container = null) {
+        this.video = video;
+        if (container && !this.hintElement) {
+            this.createHintElement(container);
+        }
+        
+        this.isActive = true;
+        this.facePipeline.attach('quality', this, video);
+    }
+    
+    stop() {
+        this.isActive = false;
+        this.facePipeline.detach('quality');
+        
+        this.issues = {};
+        this.detectionHistory = [];
+        this.eyeAsymmetrySince = null;
+        this.renderHint();
+    }
+    
+    resetSession() {
+        this.session = this.createSessionStats();
+    }
+    
+    createHintElement(container) {
+        this.hintElement = document.createElement('div');
+        this.hintElement.id = 'tracking-quality-hint';
+        this.hintElement.style.display = 'none';
+        container.appendChild(this.hintElement);
+    }
+    
+    processFrame(results, timestamp) {
+        // Called by FacePipeline for every processed frame
+        if (!this.isActive) return;
+        
+        const landmarks = results.faceLandmarks && results.faceLandmarks[0];
+        const blendShapes = results.faceBlendshapes && results.faceBlendshapes[0];
+        
+        this.detectionHistory.push(!!landmarks);
+        if (this.detectionHistory.length > this.detectionWindow) {
+            this.detectionHistory.shift();
+        }
+        
+        this.session.frames++;
+        
+        // Frames without a face are look-aways, not bad tracking
+        if (!landmarks) {
+            this.eyeAsymmetrySince = null;
+            this.updateIssues({}, timestamp);
+            return;
+        }
+        
+        if (timestamp - this.lastSampleTime >= this.sampleInterval) {
+            this.lastSampleTime = timestamp;
+            this.sampleLighting(landmarks);
+        }
+        
+        const flags = this.evaluateFrame(landmarks, blendShapes, timestamp);
+        const score = this.scoreFlags(flags);
+        
+        this.session.faceFrames++;
+        this.session.scoreSum += score;
+        Object.keys(flags).forEach(name => {
+            if (flags[name]) this.session.issueFrames[name]++;
+        });
+        
+        this.lastScore = score;
+        this.updateIssues(flags, timestamp);
+    }
+    
+    evaluateFrame(landmarks, blendShapes, timestamp) {
+        const t = this.thresholds;
+        const box = this.getFaceBox(landmarks);
+        const faceWidth = box.maxX - box.minX;
+        const centreOffset = Math.hypot((box.minX + box.maxX) / 2 - 0.5, (box.minY + box.maxY) / 2 - 0.5);
+        
+        const cutOff = box.minX < t.edgeMargin || box.minY < t.edgeMargin ||
+            box.maxX > 1 - t.edgeMargin || box.maxY > 1 - t.edgeMargin;
+        
+        let eyeAsymmetry = 0;
+        if (blendShapes) {
+            const score = (name) => blendShapes.categories.find(c => c.categoryName === name)?.score || 0;
+            eyeAsymmetry = Math.abs(score('eyeBlinkLeft') - score('eyeBlinkRight'));
+        }
+        
+        // Winks close one eye briefly; only a difference that lasts means the eye is covered
+        if (eyeAsymmetry > t.maxEyeAsymmetry) {
+            if (this.eyeAsymmetrySince === null) this.eyeAsymmetrySince = timestamp;
+        } else {
+            this.eyeAsymmetrySince = null;
+        }
+        const eyeCovered = this.eyeAsymmetrySince !== null && timestamp - this.eyeAsymmetrySince >= t.eyeAsymmetryDuration;
+        
+        const detectionRate = this.detectionHistory.filter(Boolean).length / this.detectionHistory.length;
+        const flickering = this.detectionHistory.length >= this.detectionWindow && detectionRate < t.minDetectionRate;
+        
+        return {
+            lowLight: this.lighting.brightness !== null && this.lighting.brightness < t.minBrightness,
+            tooClose: faceWidth > t.maxFaceWidth,
+            tooFar: faceWidth < t.minFaceWidth,
+            // A face cut off at the frame edge needs re-centring, not clearing of hair or hands
+            offCentre: cutOff || centreOffset > t.maxCentreOffset,
+            occluded: flickering || eyeCovered,
+            glare: this.lighting.glare !== null && this.lighting.glare > t.maxGlareFraction
+        };
+    }
+    
+    getFaceBox(landmarks, indices = null) {
+        const points = indices ? indices.map(index => landmarks[index]) : landmarks;
+        
+        return points.reduce((box, point) => ({
+            minX: Math.min(box.minX, point.x),
+            minY: Math.min(box.minY, point.y),
+            maxX: Math.max(box.maxX, point.x),
+            maxY: Math.max(box.maxY, point.y)
+        }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+    }
+    
+    sampleLighting(landmarks) {
+        const video = this.video;
+        if (this.facePipeline.isReplaying() || !video || video.readyState < 2) {
+            this.lighting = { brightness: null, glare: null };
+            return;
+        }
+        
+        if (!this.sampleCanvas) {
+            this.sampleCanvas = document.createElement('canvas');
+            this.sampleCanvas.width = 160;
+            this.sampleCanvas.height = 120;
+            this.sampleContext = this.sampleCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        
+        const { width, height } = this.sampleCanvas;
+        this.sampleContext.drawImage(video, 0, 0, width, height);
+        const pixels = this.sampleContext.getImageData(0, 0, width, height).data;
+        
+        // Eye boxes are padded so the whole lens of a pair of glasses is included
+        const eyeBoxes = [[33, 133, 159, 145], [362, 263, 386, 374]].map(indices => {
+            const box = this.getFaceBox(landmarks, indices);
+            const padX = (box.maxX - box.minX) * 0.5;
+            const padY = (box.maxX - box.minX) * 0.6;
+            return { minX: box.minX - padX, minY: box.minY - padY, maxX: box.maxX + padX, maxY: box.maxY + padY };
+        });
+        
+        this.lighting = {
+            brightness: this.measureRegion(pixels, width, height, this.getFaceBox(landmarks)).meanLuma,
+            glare: eyeBoxes
+                .map(box => this.measureRegion(pixels, width, height, box).glareFraction)
+                .reduce((a, b) => Math.max(a, b), 0)
+        };
+    }
+    
+    measureRegion(pixels, width, height, box) {
+        const x0 = Math.max(0, Math.floor(box.minX * width));
+        const x1 = Math.min(width, Math.ceil(box.maxX * width));
+        const y0 = Math.max(0, Math.floor(box.minY * height));
+        const y1 = Math.min(height, Math.ceil(box.maxY * height));
+        
+        let lumaSum = 0;
+        let glarePixels = 0;
+        let count = 0;
+        
+        for (let y = y0; y < y1; y++) {
+            for (let x = x0; x < x1; x++) {
+                const i = (y * width + x) * 4;
+                const luma = 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+                lumaSum += luma;
+                if (luma >= this.thresholds.glareLuma) glarePixels++;
+                count++;
+            }
+        }
+        
+        return {
+            meanLuma: count > 0 ? lumaSum / count : null,
+            glareFraction: count > 0 ? glarePixels / count : 0
+        };
+    }
+    
+    scoreFlags(flags) {
+        const penalty = Object.keys(flags)
+            .filter(name => flags[name])
+            .reduce((sum, name) => sum + this.checks[name].weight, 0);
+        return Math.max(0, 1 - penalty);
+    }
+    
+    updateIssues(flags, timestamp) {
+        let changed = false;
+        
+        Object.keys(this.checks).forEach(name => {
+            const issue = this.issues[name] || (this.issues[name] = { since: null, clearedSince: null, active: false });
+            
+            if (flags[name]) {
+                issue.clearedSince = null;
+                if (issue.since === null) issue.since = timestamp;
+                if (!issue.active && timestamp - issue.since >= this.showDelay) {
+                    issue.active = true;
+                    changed = true;
+                }
+            } else {
+                issue.since = null;
+                if (issue.clearedSince === null) issue.clearedSince = timestamp;
+                if (issue.active && timestamp - issue.clearedSince >= this.clearDelay) {
+                    issue.active = false;
+                    changed = true;
+                }
+            }
+        });
+        
+        if (changed) {
+            this.renderHint();
+            if (this.onQualityChange) {
+                this.onQualityChange(this.getActiveIssues(), this.lastScore);
+            }
+        }
+    }
+    
+    getActiveIssues() {
+        return Object.keys(this.checks).filter(name => this.issues[name] && this.issues[name].active);
+    }
+    
+    renderHint() {
+        if (!this.hintElement) return;
+        
+        const active = this.getActiveIssues();
+        if (active.length === 0) {
+            this.hintElement.style.display = 'none';
+            return;
+        }
+        
+        this.hintElement.textContent = this.checks[active[0]].hint;
+        this.hintElement.style.display = 'block';
+    }
+    
+    getSessionSummary() {
+        const session = this.session;
+        if (session.faceFrames === 0) {
+            return { quality: null, faceCoverage: 0, mainIssue: null };
+        }
+        
+        // Most frequent issue, if it affected a meaningful share of the session
+        const [mainIssue, issueFrames] = Object.entries(session.issueFrames)
+            .reduce((a, b) => (b[1] > a[1] ? b : a));
+        
+        return {
+            quality: session.scoreSum / session.faceFrames,
+            faceCoverage: session.faceFrames / session.frames,
+            mainIssue: issueFrames / session.faceFrames >= 0.1 ? mainIssue : null
+        };
+    }
+    
+    getDebugInfo() {
+        return {
+            score: this.lastScore,
+            brightness: this.lighting.brightness !== null ? Math.round(this.lighting.brightness) : null,
+            glare: this.lighting.glare,
+            activeIssues: this.getActiveIssues()
+        };
+    }
+}
+
+// Export for use in other modules
+window.TrackingQualityMonitor = TrackingQualityMonitor;
@@ -32,6 +32,7 @@ def main():
             print("\nAvailable pages:")
             print(f"  🎮 Main Game: http://localhost:{PORT}/index.html")
             print(f"  👁️  Gaze Test: http://localhost:{PORT}/gaze_test.html")
+            print(f"  📊 Blink Lab: http://localhost:{PORT}/blink_lab.html")
             print("\n⚠️  Note: Camera access requires HTTPS in production")
             print("💡 For HTTPS, use: python -m http.server --bind 127.0.0.1 --protocol HTTPS")
             print("\nPress Ctrl+C to stop the server")